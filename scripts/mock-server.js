@@ -0,0 +1,414 @@
+// Minimal stand-in for the recordings backend, for local development of the
+// upload protocols without the real server. Dependency free:
+//
+//   npm run mock-server
+//
+// Environment:
+//   PORT                 port to listen on (default 5000)
+//   MOCK_UPLOAD_DIR      where uploaded files are stored (default OS temp dir)
+//   MOCK_FAIL_RATE       0..1, share of upload requests answered with a 503
+//   MOCK_LATENCY_MS      delay added to every response
+//   MOCK_MAX_UPLOAD_BYTES largest accepted recording (default 100 MB)
+//   MOCK_SEED_RECORDINGS number of fake recordings to start with, for trying
+//                        out the list with many entries (their files are
+//                        missing, so they cannot be played)
+//
+// Recordings are kept in memory, so they are gone after a restart. The mock
+// cannot transcode, the mp3/mp4 renditions both point at the uploaded file.
+
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+import { createReadStream, mkdirSync } from "node:fs";
+import { appendFile, rename, stat, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { extname, join } from "node:path";
+
+const PORT = Number(process.env.PORT) || 5000;
+const UPLOAD_DIR =
+  process.env.MOCK_UPLOAD_DIR || join(tmpdir(), "web-voice-recorder-uploads");
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+const LATENCY_MS = Number(process.env.MOCK_LATENCY_MS) || 0;
+const MAX_UPLOAD_BYTES =
+  Number(process.env.MOCK_MAX_UPLOAD_BYTES) || 100 * 1024 * 1024;
+const SEED_RECORDINGS = Number(process.env.MOCK_SEED_RECORDINGS) || 0;
+
+mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const recordings = [];
+for (let i = SEED_RECORDINGS; i > 0; i--) {
+  const id = randomUUID();
+  const rendition = {
+    url: `/uploads/${id}.webm`,
+    mimetype: "audio/webm",
+    size: Math.round(Math.random() * 5 * 1024 * 1024),
+  };
+  recordings.push({
+    _id: id,
+    filename: `${id}.webm`,
+    originalFilename: `recording_${i}.webm`,
+    // One recording per hour, going back from now
+    uploadDate: new Date(Date.now() - i * 3600 * 1000).toISOString(),
+    mp3: rendition,
+    mp4: rendition,
+  });
+}
+recordings.reverse();
+// uploadId -> { filename, size, mimeType, offset, path }
+const uploads = new Map();
+
+const MIME_TYPES = {
+  ".m4a": "audio/mp4",
+  ".mp4": "audio/mp4",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".webm": "audio/webm",
+  ".wav": "audio/wav",
+  ".flac": "audio/flac",
+};
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Upload-Id, Upload-Offset",
+  // The app is served cross-origin isolated (COEP: require-corp)
+  "Cross-Origin-Resource-Policy": "cross-origin",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+const readJsonBody = async (req) => {
+  const body = await readBody(req);
+  return body.length ? JSON.parse(body.toString("utf8")) : {};
+};
+
+// Extract the first file part of a multipart/form-data body
+const parseMultipartFile = (body, contentType) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!boundary) return null;
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const headersEnd = body.indexOf("\r\n\r\n", start);
+    if (headersEnd === -1) return null;
+
+    const headers = body.slice(start, headersEnd).toString("utf8");
+    const next = body.indexOf(delimiter, headersEnd);
+    const filename = /filename="([^"]*)"/i.exec(headers);
+
+    if (filename && next !== -1) {
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+      return {
+        filename: filename[1],
+        mimeType: type ? type[1].trim() : "application/octet-stream",
+        // Part data ends with CRLF before the next delimiter
+        data: body.slice(headersEnd + 4, next - 2),
+      };
+    }
+    start = next;
+  }
+
+  return null;
+};
+
+const sendTooLarge = (res) =>
+  sendJson(res, 413, {
+    message: `Recordings are limited to ${MAX_UPLOAD_BYTES} bytes`,
+    maxSizeBytes: MAX_UPLOAD_BYTES,
+  });
+
+const getOrigin = (req) => `http://${req.headers.host}`;
+
+const createRecording = async (req, { filename, mimeType, path, size }) => {
+  const id = randomUUID();
+  const storedName = `${id}${extname(filename) || ".bin"}`;
+  await rename(path, join(UPLOAD_DIR, storedName));
+
+  const rendition = {
+    url: `${getOrigin(req)}/uploads/${storedName}`,
+    mimetype: mimeType,
+    size,
+  };
+  const recording = {
+    _id: id,
+    filename: storedName,
+    originalFilename: filename,
+    uploadDate: new Date().toISOString(),
+    mp3: rendition,
+    mp4: rendition,
+  };
+
+  recordings.unshift(recording);
+  return recording;
+};
+
+const getName = (recording) => recording.originalFilename || recording.filename;
+
+const SORT_VALUES = {
+  uploadDate: (recording) => recording.uploadDate,
+  size: (recording) => recording.mp3?.size ?? 0,
+  name: (recording) => getName(recording).toLowerCase(),
+};
+
+// Without `page` the whole list is returned as an array, like older backends
+const listRecordings = (req, res, url) => {
+  const params = url.searchParams;
+  if (!params.has("page")) {
+    sendJson(res, 200, recordings);
+    return;
+  }
+
+  const page = Math.max(1, Number(params.get("page")) || 1);
+  const limit = Math.min(100, Math.max(1, Number(params.get("limit")) || 20));
+  const q = params.get("q")?.toLowerCase();
+  const from = params.get("from");
+  const to = params.get("to");
+  const getValue = SORT_VALUES[params.get("sort")] || SORT_VALUES.uploadDate;
+  const direction = params.get("order") === "asc" ? 1 : -1;
+
+  const matching = recordings
+    .filter(
+      (recording) =>
+        (!q ||
+          [recording.originalFilename, recording.filename].some((name) =>
+            name?.toLowerCase().includes(q)
+          )) &&
+        (!from || new Date(recording.uploadDate) >= new Date(from)) &&
+        (!to || new Date(recording.uploadDate) < new Date(to))
+    )
+    .sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      if (valueA === valueB) return 0;
+      return (valueA > valueB ? 1 : -1) * direction;
+    });
+
+  sendJson(res, 200, {
+    items: matching.slice((page - 1) * limit, page * limit),
+    total: matching.length,
+    page,
+    limit,
+  });
+};
+
+const routes = {
+  "GET /api/recordings": listRecordings,
+
+  "GET /api/recordings/upload/limits": (req, res) =>
+    sendJson(res, 200, { maxSizeBytes: MAX_UPLOAD_BYTES }),
+
+  "POST /api/recordings/upload": async (req, res) => {
+    if (Number(req.headers["content-length"]) > MAX_UPLOAD_BYTES) {
+      // Drain the body so the client sees the response, not a reset
+      await readBody(req);
+      sendTooLarge(res);
+      return;
+    }
+
+    const file = parseMultipartFile(
+      await readBody(req),
+      req.headers["content-type"] || ""
+    );
+    if (!file) {
+      sendJson(res, 400, { message: "No audio file in request" });
+      return;
+    }
+
+    const path = join(UPLOAD_DIR, `${randomUUID()}.part`);
+    await writeFile(path, file.data);
+    sendJson(
+      res,
+      201,
+      await createRecording(req, { ...file, path, size: file.data.length })
+    );
+  },
+
+  "POST /api/recordings/upload/init": async (req, res) => {
+    const { filename, size, mimeType } = await readJsonBody(req);
+    if (!filename || !Number.isInteger(size)) {
+      sendJson(res, 400, { message: "filename and size are required" });
+      return;
+    }
+    if (size > MAX_UPLOAD_BYTES) {
+      sendTooLarge(res);
+      return;
+    }
+
+    const uploadId = randomUUID();
+    const path = join(UPLOAD_DIR, `${uploadId}.part`);
+    await writeFile(path, "");
+    uploads.set(uploadId, { filename, size, mimeType, offset: 0, path });
+    sendJson(res, 201, { uploadId, offset: 0 });
+  },
+
+  "GET /api/recordings/upload/status": (req, res, url) => {
+    const upload = uploads.get(url.searchParams.get("uploadId"));
+    if (!upload) {
+      sendJson(res, 404, { message: "Unknown upload" });
+      return;
+    }
+    sendJson(res, 200, { offset: upload.offset, size: upload.size });
+  },
+
+  "POST /api/recordings/upload/chunk": async (req, res) => {
+    const upload = uploads.get(req.headers["upload-id"]);
+    if (!upload) {
+      sendJson(res, 404, { message: "Unknown upload" });
+      return;
+    }
+
+    const offset = Number(req.headers["upload-offset"]);
+    const chunk = await readBody(req);
+    if (offset !== upload.offset) {
+      sendJson(res, 409, {
+        message: "Offset mismatch",
+        offset: upload.offset,
+      });
+      return;
+    }
+    if (upload.offset + chunk.length > upload.size) {
+      sendJson(res, 400, { message: "Chunk exceeds declared size" });
+      return;
+    }
+
+    await appendFile(upload.path, chunk);
+    upload.offset += chunk.length;
+    sendJson(res, 200, { offset: upload.offset });
+  },
+
+  "POST /api/recordings/upload/complete": async (req, res) => {
+    const { uploadId } = await readJsonBody(req);
+    const upload = uploads.get(uploadId);
+    if (!upload) {
+      sendJson(res, 404, { message: "Unknown upload" });
+      return;
+    }
+    if (upload.offset !== upload.size) {
+      sendJson(res, 409, {
+        message: "Upload is incomplete",
+        offset: upload.offset,
+      });
+      return;
+    }
+
+    uploads.delete(uploadId);
+    sendJson(res, 201, await createRecording(req, upload));
+  },
+};
+
+// Fields of a recording that PATCH may change, with their validation
+const EDITABLE_FIELDS = {
+  originalFilename: (value) => typeof value === "string" && value.trim(),
+  title: (value) => typeof value === "string",
+  description: (value) => typeof value === "string",
+  tags: (value) =>
+    Array.isArray(value) && value.every((tag) => typeof tag === "string"),
+};
+
+// Routes for a single recording, /api/recordings/:id
+const recordingRoutes = {
+  PATCH: async (req, res, recording) => {
+    const changes = await readJsonBody(req);
+    for (const [field, value] of Object.entries(changes)) {
+      if (!EDITABLE_FIELDS[field]?.(value)) {
+        sendJson(res, 400, { message: `Invalid ${field}` });
+        return;
+      }
+    }
+    Object.assign(recording, changes);
+    sendJson(res, 200, recording);
+  },
+
+  DELETE: (req, res, recording) => {
+    recordings.splice(recordings.indexOf(recording), 1);
+    res.writeHead(204, corsHeaders);
+    res.end();
+  },
+};
+
+const serveUpload = async (res, name) => {
+  const path = join(UPLOAD_DIR, name.replace(/[/\\]/g, ""));
+  try {
+    const { size } = await stat(path);
+    res.writeHead(200, {
+      ...corsHeaders,
+      "Content-Type": MIME_TYPES[extname(path)] || "application/octet-stream",
+      "Content-Length": size,
+    });
+    createReadStream(path).pipe(res);
+  } catch {
+    sendJson(res, 404, { message: "Not found" });
+  }
+};
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, getOrigin(req));
+  console.log(req.method, url.pathname);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (LATENCY_MS) await sleep(LATENCY_MS);
+
+  try {
+    if (req.method === "GET" && url.pathname.startsWith("/uploads/")) {
+      await serveUpload(res, url.pathname.slice("/uploads/".length));
+      return;
+    }
+
+    const recordingId = /^\/api\/recordings\/([^/]+)$/.exec(url.pathname)?.[1];
+    const recordingRoute = recordingId && recordingRoutes[req.method];
+    if (recordingRoute) {
+      const recording = recordings.find(
+        (item) => item._id === decodeURIComponent(recordingId)
+      );
+      if (recording) await recordingRoute(req, res, recording);
+      else sendJson(res, 404, { message: "Unknown recording" });
+      return;
+    }
+
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      sendJson(res, 404, { message: "Not found" });
+      return;
+    }
+
+    if (
+      FAIL_RATE &&
+      url.pathname.startsWith("/api/recordings/upload") &&
+      Math.random() < FAIL_RATE
+    ) {
+      // Drain the body so the client sees the response, not a reset
+      await readBody(req);
+      sendJson(res, 503, { message: "Simulated failure" });
+      return;
+    }
+
+    await route(req, res, url);
+  } catch (err) {
+    console.error(err);
+    sendJson(res, 500, { message: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock recordings API on http://localhost:${PORT}/api`);
+  console.log(`Storing uploads in ${UPLOAD_DIR}`);
+});
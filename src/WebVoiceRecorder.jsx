@@ -1,390 +1,412 @@
-import React, { useState, useRef, useEffect } from "react";
-import { FFmpeg } from "@ffmpeg/ffmpeg";
-import { fetchFile } from "@ffmpeg/util";
-
-const WebVoiceRecorder = ({ onRecordingComplete }) => {
-  const [isRecording, setIsRecording] = useState(false);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [recordingTime, setRecordingTime] = useState(0);
-  const [playbackTime, setPlaybackTime] = useState(0);
-  const [audioBlob, setAudioBlob] = useState(null);
-  const [audioUrl, setAudioUrl] = useState("");
-  const [error, setError] = useState("");
-  const [isConverting, setIsConverting] = useState(false);
+import React, {
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  useRef,
+} from "react";
+import useVoiceRecorder from "./hooks/useVoiceRecorder";
+import useRecordingUpload from "./hooks/useRecordingUpload";
+import useOutbox from "./hooks/useOutbox";
+import useAudioPlayer from "./hooks/useAudioPlayer";
+import useWaveform from "./hooks/useWaveform";
+import useInputSettings from "./hooks/useInputSettings";
+import useInputDevices from "./hooks/useInputDevices";
+import useKeyboardShortcuts from "./hooks/useKeyboardShortcuts";
+import useRecordingsList from "./hooks/useRecordingsList";
+import BatchActions from "./components/BatchActions";
+import InputSettings from "./components/InputSettings";
+import LevelMeter from "./components/LevelMeter";
+import MicrophoneHelp from "./components/MicrophoneHelp";
+import ProcessingOptions from "./components/ProcessingOptions";
+import RecordingEditor from "./components/RecordingEditor";
+import RecordingsFilters from "./components/RecordingsFilters";
+import ShareActions from "./components/ShareActions";
+import ShortcutHelp from "./components/ShortcutHelp";
+import PendingUploads from "./components/PendingUploads";
+import UploadProgress from "./components/UploadProgress";
+import Waveform from "./components/Waveform";
+import TrimEditor from "./components/TrimEditor";
+import UndoToast from "./components/UndoToast";
+import VirtualList from "./components/VirtualList";
+import { buttonStyle, smallButtonStyle } from "./components/styles";
+import { formatFileSize, formatLevelChange, formatTime } from "./utils/format";
+import { ApiError, createApiClient } from "./api/client";
+import { getTrimArgs } from "./utils/audioEdits";
+import {
+  downloadBlob,
+  fetchBlob,
+  getDownloadFilename,
+  getUniqueFilename,
+} from "./utils/download";
+import { applyTagChanges, isSameTags } from "./utils/recordingMetadata";
+import { getDefaultFormat, getRenditions } from "./utils/renditions";
+import { createZip } from "./utils/zip";
+import { DEFAULT_SHORTCUTS, formatShortcut } from "./utils/shortcuts";
+import {
+  DEFAULT_RECORDINGS_FILTERS,
+  getRecordingName,
+  getRecordingsQuery,
+} from "./utils/recordingsQuery";
+import {
+  OUTPUT_PRESETS,
+  describeOutputConfig,
+  getFileExtension,
+  getOutputFormat,
+  resolveOutputConfig,
+} from "./utils/audioFormats";
+
+// Seconds before an automatic stop from which a countdown is shown
+const LIMIT_COUNTDOWN_SECONDS = 30;
+
+// Size in bytes from which uploads use the resumable chunked protocol
+const DEFAULT_CHUNKED_UPLOAD_THRESHOLD = import.meta.env
+  .VITE_CHUNKED_UPLOAD_THRESHOLD
+  ? Number(import.meta.env.VITE_CHUNKED_UPLOAD_THRESHOLD)
+  : null;
+
+const WebVoiceRecorder = ({
+  onRecordingComplete,
+  ffmpegCoreURL,
+  ffmpegMultiThread,
+  preset,
+  outputFormat,
+  bitrate,
+  sampleRate,
+  channels,
+  trimSilence = false,
+  loudnessTarget = null,
+  maxDurationSeconds = null,
+  maxSizeBytes = null,
+  voiceActivated = false,
+  vadThresholdDb,
+  vadSilenceSeconds,
+  shortcuts,
+  pushToTalk = false,
+  apiBaseUrl,
+  apiEndpoints,
+  mediaUrlRules,
+  uploadRetries = 3,
+  chunkedUploadThreshold = DEFAULT_CHUNKED_UPLOAD_THRESHOLD,
+  uploadChunkSize,
+  recordingsPageSize,
+}) => {
+  const api = useMemo(
+    () =>
+      createApiClient({
+        baseUrl: apiBaseUrl,
+        endpoints: apiEndpoints,
+        mediaUrlRules,
+      }),
+    [apiBaseUrl, apiEndpoints, mediaUrlRules]
+  );
+  const uploader = useRecordingUpload({
+    api,
+    retries: uploadRetries,
+    chunkedThreshold: chunkedUploadThreshold,
+    chunkSize: uploadChunkSize,
+  });
+  // The outbox syncs in the background with its own uploader, so a retry of
+  // an old recording does not hold up the current one
+  const syncUploader = useRecordingUpload({
+    api,
+    retries: uploadRetries,
+    chunkedThreshold: chunkedUploadThreshold,
+    chunkSize: uploadChunkSize,
+  });
 
-  const mediaRecorderRef = useRef(null);
-  const audioPlayerRef = useRef(null);
-  const streamRef = useRef(null);
-  const chunksRef = useRef([]);
-  const timerRef = useRef(null);
-  const playbackTimerRef = useRef(null);
-  const ffmpegRef = useRef(new FFmpeg());
+  const defaultOutputConfig = useMemo(
+    () =>
+      resolveOutputConfig({
+        preset,
+        outputFormat,
+        bitrate,
+        sampleRate,
+        channels,
+      }),
+    [preset, outputFormat, bitrate, sampleRate, channels]
+  );
+  // "" keeps the configuration passed in through props
+  const [selectedPreset, setSelectedPreset] = useState("");
+  // Post-processing starts from the props and can be changed in the UI
+  const [processing, setProcessing] = useState({
+    trimSilence,
+    loudnessTarget,
+  });
+  const outputConfig = useMemo(
+    () => ({
+      ...(selectedPreset
+        ? resolveOutputConfig({ preset: selectedPreset })
+        : defaultOutputConfig),
+      ...processing,
+    }),
+    [selectedPreset, defaultOutputConfig, processing]
+  );
 
-  const [selectedRecording, setSelectedRecording] = useState(null);
-  const [recordingsList, setRecordingsList] = useState([]);
-  const [recordingFormats, setRecordingFormats] = useState({}); // State to track format selection for each recording
+  // Outbox id of the take shown in "Local Recording Playback"
+  const [draftId, setDraftId] = useState(null);
+
+  // Keep every finished take in the outbox until it has been uploaded. A
+  // segment spliced into the current take updates its draft instead.
+  const handleRecordingComplete = (blob, url, { isSplice } = {}) => {
+    const filename = `recording_${Date.now()}.${getFileExtension(blob.type)}`;
+    const draft = isSplice && outbox.items.find((item) => item.id === draftId);
+    (draft ? outbox.replaceBlob(draft, blob) : outbox.add(blob, filename))
+      .then((item) => setDraftId(item.id))
+      .catch((err) => {
+        console.error("Failed to store recording in the outbox:", err);
+      });
 
-  // FFmpeg setup
-  const loadFFmpeg = async () => {
-    const baseURL = "https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm";
-    try {
-      if (!ffmpegRef.current.loaded) {
-        setError("Loading audio converter...");
-        await ffmpegRef.current.load({
-          coreURL: `${baseURL}/ffmpeg-core.js`,
-          wasmURL: `${baseURL}/ffmpeg-core.wasm`,
-        });
-        setError("");
-        console.log("FFmpeg loaded successfully");
-      }
-    } catch (err) {
-      console.error("Failed to load FFmpeg:", err);
-      setError("Failed to load audio converter. Please try again.");
+    if (onRecordingComplete) {
+      onRecordingComplete(blob, url);
     }
   };
 
-  // Fetch recordings from backend
-  const fetchRecordings = async () => {
-    try {
-      const response = await fetch("http://localhost:5000/api/recordings");
-      if (response.ok) {
-        const data = await response.json();
-        setRecordingsList(data);
-        console.log("Fetched recordings:", data);
-      } else {
-        console.error("Failed to fetch recordings:", await response.json());
-      }
-    } catch (error) {
-      console.error("Network error fetching recordings:", error);
+  const inputSettings = useInputSettings();
+  const { devices: inputDevices, refresh: refreshInputDevices } =
+    useInputDevices();
+
+  const recorder = useVoiceRecorder({
+    onRecordingComplete: handleRecordingComplete,
+    outputConfig,
+    audioConstraints: inputSettings.constraints,
+    maxDurationSeconds,
+    maxSizeBytes,
+    vadThresholdDb,
+    vadSilenceSeconds,
+    ffmpegCoreURL,
+    ffmpegMultiThread,
+  });
+  const {
+    isArmed,
+    isRecording,
+    isPaused,
+    isConverting,
+    isEditing,
+    elapsed: recordingTime,
+    blob: audioBlob,
+    url: audioUrl,
+    levels: audioLevels,
+    stop: stopRecording,
+  } = recorder;
+
+  const [error, setError] = useState("");
+  const [isTrimming, setIsTrimming] = useState(false);
+  const [isHandsFree, setIsHandsFree] = useState(voiceActivated);
+  const [isPushToTalk, setIsPushToTalk] = useState(pushToTalk);
+  const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false);
+  // "held" while the push-to-talk key is down, "released" when it was let go
+  // before the recording had started
+  const pushToTalkRef = useRef(null);
+  // The microphone is open, armed for voice activation or recording
+  const isCapturing = isArmed || isRecording || isPaused;
+
+  // Device labels become available once microphone access was granted
+  useEffect(() => {
+    if (recorder.stream) refreshInputDevices();
+  }, [recorder.stream, refreshInputDevices]);
+
+  const player = useAudioPlayer();
+  const { isPlaying, src: playerSrc, unload: unloadPlayer } = player;
+  const isLocalPlayback = !!audioUrl && playerSrc === audioUrl;
+  const localWaveform = useWaveform(audioBlob);
+  const localDuration =
+    (isLocalPlayback && player.duration) || localWaveform.duration;
+
+  const handleUploaded = (item, data) => {
+    console.log("Server upload successful:", data);
+    recordings.refresh();
+    if (!item || item.id === draftId) {
+      recorder.reset();
+      setDraftId(null);
     }
   };
 
-  // Add this function at the top of your component
-const normalizeServerUrl = (url) => {
-  if (!url) return null;
-  
-  // Replace 10.0.2.2 with localhost if accessing from browser
-  if (window.location.hostname === 'localhost') {
-    return url.replace('10.0.2.2', 'localhost');
-  }
-  
-  // Replace localhost with 10.0.2.2 if accessing from Android emulator
-  if (window.location.hostname === '10.0.2.2') {
-    return url.replace('localhost', '10.0.2.2');
-  }
-  
-  return url;
-};
-
-  // Get the appropriate URL based on selected format for a specific recording
-const getRecordingUrl = (recording) => {
-  const selectedFormat = recordingFormats[recording._id] || "mp3";
-  let url;
-  
-  switch (selectedFormat) {
-    case "mp3":
-      url = recording.mp3?.url;
-      break;
-    case "mp4":
-      url = recording.mp4?.url;
-      break;
-    default:
-      url = recording.mp3?.url;
-  }
-  
-  return normalizeServerUrl(url);
-};
+  const outbox = useOutbox({
+    uploader,
+    syncUploader,
+    onUploaded: handleUploaded,
+  });
 
-  // Get display name for recording
-  const getRecordingDisplayName = (recording) => {
-    return recording.originalFilename || recording.filename;
-  };
+  // Outbox id of the take a new recording replaces. Its draft is only removed
+  // once capturing has started, so a failed or cancelled start keeps it.
+  const replacedDraftRef = useRef(null);
+  useEffect(() => {
+    if (!isRecording || !replacedDraftRef.current) return;
+    const draft = outbox.items.find(
+      (item) => item.id === replacedDraftRef.current
+    );
+    replacedDraftRef.current = null;
+    setDraftId(null);
 
-  // Get file info for selected format for a specific recording
-  const getRecordingInfo = (recording) => {
-    const selectedFormat = recordingFormats[recording._id] || "mp3"; // Default to mp3
-    switch (selectedFormat) {
-      case "mp3":
-        return recording.mp3 || {};
-      case "mp4":
-        return recording.mp4 || {};
-      default:
-        return recording.mp3 || {}; // Fallback to mp3
+    // A new take replaces the current one unless it was submitted already
+    if (draft && draft.status === "draft") {
+      outbox.remove(draft.id).catch((err) => {
+        console.error("Failed to remove previous take:", err);
+      });
     }
-  };
+  }, [isRecording, outbox]);
 
-  // Initial load and cleanup
-  useEffect(() => {
-    loadFFmpeg();
-    fetchRecordings();
+  const [selectedRecording, setSelectedRecording] = useState(null);
+  const [recordingFormats, setRecordingFormats] = useState({}); // State to track format selection for each recording
 
-    return () => {
-      if (timerRef.current) clearInterval(timerRef.current);
-      if (playbackTimerRef.current) clearInterval(playbackTimerRef.current);
+  const [recordingsFilters, setRecordingsFilters] = useState(
+    DEFAULT_RECORDINGS_FILTERS
+  );
+  const recordingsQuery = useMemo(
+    () => getRecordingsQuery(recordingsFilters),
+    [recordingsFilters]
+  );
+  const recordings = useRecordingsList(api, recordingsQuery, {
+    pageSize: recordingsPageSize,
+    onError: setError,
+  });
+  const [editingRecordingId, setEditingRecordingId] = useState(null);
+  // Recordings ticked for batch actions, by id
+  const [checkedIds, setCheckedIds] = useState(() => new Set());
+  const checkedRecordings = recordings.items.filter((recording) =>
+    checkedIds.has(recording._id)
+  );
+  // Progress message while a batch download runs
+  const [batchProgress, setBatchProgress] = useState("");
+
+  // Rendition in the format picked for a recording, by default the one this
+  // browser plays best (see utils/renditions.js)
+  const getSelectedRendition = (recording) => {
+    const renditions = getRenditions(recording);
+    const format =
+      recordingFormats[recording._id] || getDefaultFormat(renditions);
+    return renditions.find((rendition) => rendition.format === format) || null;
+  };
 
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach((track) => track.stop());
-      }
+  // Playable URL of the selected format, null while it is not available
+  const getRecordingUrl = (recording) => {
+    const rendition = getSelectedRendition(recording);
+    return rendition?.isAvailable ? api.resolveMediaUrl(rendition.url) : null;
+  };
 
-      if (audioUrl) {
-        URL.revokeObjectURL(audioUrl);
-      }
-    };
-  }, [audioUrl]);
+  const selectedRecordingUrl = selectedRecording
+    ? getRecordingUrl(selectedRecording)
+    : null;
+  const recordingWaveform = useWaveform(selectedRecordingUrl);
+  const isRecordingPlayback =
+    !!selectedRecordingUrl && playerSrc === selectedRecordingUrl;
+  const recordingDuration =
+    (isRecordingPlayback && player.duration) || recordingWaveform.duration;
 
-  // Check browser support
-  const checkSupport = () => {
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      setError("Your browser does not support audio recording.");
-      return false;
-    }
+  // Get file info for selected format for a specific recording
+  const getRecordingInfo = (recording) => getSelectedRendition(recording) || {};
 
-    if (!window.MediaRecorder) {
-      setError("MediaRecorder is not supported in your browser.");
-      return false;
-    }
+  // Largest recording the server accepts, null when it advertises no limit
+  const [uploadLimit, setUploadLimit] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .fetchUploadLimits()
+      .then((limits) => {
+        if (!cancelled) setUploadLimit(limits?.maxSizeBytes ?? null);
+      })
+      .catch((err) => {
+        console.warn("Failed to fetch upload limits:", err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api]);
 
-    return true;
+  const getUploadLimitError = (blob) => {
+    if (!uploadLimit || blob.size <= uploadLimit) return "";
+    const size = formatFileSize(blob.size);
+    const limit = formatFileSize(uploadLimit);
+    return `This recording is ${size}, but the server accepts at most ${limit}. Trim it before submitting.`;
   };
 
-  // Get supported MIME type for initial recording
-  const getSupportedMimeType = () => {
-    const possibleTypes = [
-      "audio/webm;codecs=opus",
-      "audio/mp4;codecs=mp4a.40.2",
-      "audio/webm",
-      "audio/mp4",
-      "audio/aac",
-    ];
-
-    for (const mimeType of possibleTypes) {
-      if (MediaRecorder.isTypeSupported(mimeType)) {
-        console.log("Using initial MediaRecorder MIME type:", mimeType);
-        return mimeType;
-      }
+  // The local take was replaced or uploaded, so its object URL is gone
+  useEffect(() => {
+    if (playerSrc?.startsWith("blob:") && playerSrc !== audioUrl) {
+      unloadPlayer();
     }
+  }, [playerSrc, audioUrl, unloadPlayer]);
+
+  // Start recording a new take, or with `spliceAt` a segment that is
+  // inserted into the current take at that position (Infinity appends)
+  const startRecording = ({
+    spliceAt = null,
+    voiceActivated = isHandsFree,
+  } = {}) => {
+    setError("");
+    setIsTrimming(false);
+    pushToTalkRef.current = null;
 
-    console.warn(
-      "No preferred MIME type supported for initial recording, using default."
-    );
-    return "";
-  };
-
-  // Start recording
-  const startRecording = async () => {
-    if (!checkSupport()) return;
-    if (!ffmpegRef.current.loaded) {
-      setError("Audio converter is not loaded yet. Please wait.");
+    if (spliceAt !== null) {
+      replacedDraftRef.current = null;
+      player.pause();
+      recorder.start({ spliceAt, voiceActivated });
       return;
     }
 
     stopPlayback();
-    setSelectedRecording(null);
-
-    try {
-      setError("");
-
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          sampleRate: 48000,
-          channelCount: 1,
-        },
-      });
-
-      streamRef.current = stream;
-      chunksRef.current = [];
-
-      const mimeType = getSupportedMimeType();
-      const options = mimeType ? { mimeType } : {};
-
-      mediaRecorderRef.current = new MediaRecorder(stream, options);
-
-      mediaRecorderRef.current.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          chunksRef.current.push(event.data);
-        }
-      };
-
-      mediaRecorderRef.current.onstop = async () => {
-        const initialBlob = new Blob(chunksRef.current, {
-          type: mediaRecorderRef.current.mimeType,
-        });
-        setAudioBlob(initialBlob);
-
-        if (streamRef.current) {
-          streamRef.current.getTracks().forEach((track) => track.stop());
-        }
-
-        setIsConverting(true);
-        setError("Converting audio to MP4 (AAC)...");
-
-        try {
-          await ffmpegRef.current.writeFile(
-            "input.file",
-            await fetchFile(initialBlob)
-          );
-
-          await ffmpegRef.current.exec([
-            "-i",
-            "input.file",
-            "-c:a",
-            "aac",
-            "-b:a",
-            "128k",
-            "-movflags",
-            "+faststart",
-            "output.m4a",
-          ]);
-
-          const data = await ffmpegRef.current.readFile("output.m4a");
-          const m4aBlob = new Blob([data.buffer], { type: "audio/mp4" });
-          setAudioBlob(m4aBlob);
-
-          const url = URL.createObjectURL(m4aBlob);
-          setAudioUrl(url);
-
-          if (onRecordingComplete) {
-            onRecordingComplete(m4aBlob, url);
-          }
-          setError("");
-        } catch (convertError) {
-          console.error("Failed to convert to M4A:", convertError);
-          setError("Failed to convert audio: " + convertError.message);
-          if (audioUrl) URL.revokeObjectURL(audioUrl);
-          setAudioUrl("");
-          setAudioBlob(null);
-        } finally {
-          setIsConverting(false);
-        }
-      };
-
-      mediaRecorderRef.current.onerror = (event) => {
-        console.error("MediaRecorder error:", event.error);
-        setError("Recording failed: " + event.error.message);
-      };
-
-      mediaRecorderRef.current.start(1000);
-      setIsRecording(true);
-      setRecordingTime(0);
-
-      timerRef.current = setInterval(() => {
-        setRecordingTime((prev) => prev + 1);
-      }, 1000);
-
-      console.log(
-        "Recording started with MIME type:",
-        mediaRecorderRef.current.mimeType
-      );
-    } catch (error) {
-      console.error("Failed to start recording:", error);
-      setError("Failed to start recording: " + error.message);
-    }
+    replacedDraftRef.current = draftId;
+    recorder.start({ voiceActivated });
   };
 
-  // Stop recording
-  const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
-      mediaRecorderRef.current.stop();
-      setIsRecording(false);
-
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
-        timerRef.current = null;
-      }
-    }
+  const playUrl = (url) => {
+    player.play(url).catch((error) => {
+      // Replacing the source while it loads aborts the previous play()
+      if (error.name === "AbortError") return;
+      console.error("Error playing audio:", error);
+      setError(`Failed to play audio: ${error.message}. URL: ${url}`);
+    });
   };
 
-  // Update the startPlayback function
-const startPlayback = () => {
-  const urlToPlay = selectedRecording
-    ? getRecordingUrl(selectedRecording)
-    : audioUrl;
-
-  if (audioPlayerRef.current && urlToPlay) {
-    if (isPlaying) {
-      stopPlayback();
-    }
-
-    console.log('Playing URL:', urlToPlay); // Add this for debugging
-
-    audioPlayerRef.current.src = urlToPlay;
-    audioPlayerRef.current.crossOrigin = "anonymous";
-    audioPlayerRef.current.load();
-    audioPlayerRef.current
-      .play()
-      .then(() => {
-        setIsPlaying(true);
-        setPlaybackTime(0);
-        if (playbackTimerRef.current) clearInterval(playbackTimerRef.current);
-        playbackTimerRef.current = setInterval(() => {
-          if (audioPlayerRef.current) {
-            setPlaybackTime(Math.floor(audioPlayerRef.current.currentTime));
-          }
-        }, 1000);
-      })
-      .catch((error) => {
-        console.error("Error playing audio:", error);
-        setError(`Failed to play audio: ${error.message}. URL: ${urlToPlay}`);
-        setIsPlaying(false);
-        if (playbackTimerRef.current) clearInterval(playbackTimerRef.current);
-      });
-  } else {
-    // setError(`No audio URL available for selected format. URL: ${urlToPlay}`);
-  }
-};
-
-  // Stop playback
-  const stopPlayback = () => {
-    if (audioPlayerRef.current) {
-      audioPlayerRef.current.pause();
-      audioPlayerRef.current.currentTime = 0;
+  // Play or pause the local recording, pausing keeps the position
+  const toggleLocalPlayback = () => {
+    if (isLocalPlayback && isPlaying) {
+      player.pause();
+      return;
     }
-    setIsPlaying(false);
-    setPlaybackTime(0);
     setSelectedRecording(null);
-
-    if (playbackTimerRef.current) {
-      clearInterval(playbackTimerRef.current);
-      playbackTimerRef.current = null;
-    }
+    playUrl(audioUrl);
   };
 
-  // Format time display
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins.toString().padStart(2, "0")}:${secs
-      .toString()
-      .padStart(2, "0")}`;
+  const seekLocal = (time) => {
+    setSelectedRecording(null);
+    player.load(audioUrl);
+    player.seek(time);
   };
 
-  // Handle audio ended event
-  const handleAudioEnded = () => {
-    setIsPlaying(false);
-    setPlaybackTime(0);
-    if (playbackTimerRef.current) {
-      clearInterval(playbackTimerRef.current);
-      playbackTimerRef.current = null;
+  // Replace the local take, and its outbox draft, with the selection
+  const handleTrim = async (start, end) => {
+    const trimmed = await recorder.edit((input, output) =>
+      getTrimArgs(input, output, start, end)
+    );
+    if (!trimmed) return;
+
+    setIsTrimming(false);
+    const draft = outbox.items.find((item) => item.id === draftId);
+    if (draft) {
+      outbox.replaceBlob(draft, trimmed).catch((err) => {
+        console.error("Failed to store trimmed recording:", err);
+        setError("Failed to store trimmed recording: " + err.message);
+      });
     }
-    setSelectedRecording(null);
   };
 
-  const buttonStyle = {
-    padding: "12px 24px",
-    margin: "5px",
-    border: "none",
-    borderRadius: "8px",
-    fontSize: "16px",
-    fontWeight: "bold",
-    cursor: "pointer",
-    transition: "all 0.2s ease",
+  // Stop playback and release the current source
+  const stopPlayback = () => {
+    player.unload();
+    setSelectedRecording(null);
   };
 
   const recordButtonStyle = {
     ...buttonStyle,
-    backgroundColor: isRecording ? "#ff4444" : "#4CAF50",
+    backgroundColor: isCapturing ? "#ff4444" : "#4CAF50",
+    color: "white",
+  };
+
+  const pauseButtonStyle = {
+    ...buttonStyle,
+    backgroundColor: isPaused ? "#4CAF50" : "#ff9800",
     color: "white",
   };
 
@@ -401,39 +423,74 @@ const startPlayback = () => {
       setError("No audio to submit. Please record something first.");
       return;
     }
+    const limitError = getUploadLimitError(audioBlob);
+    if (limitError) {
+      setError(limitError);
+      return;
+    }
 
     setError("");
-    const formData = new FormData();
-    const filename = `recording_${Date.now()}.${
-      audioBlob.type.split("/")[1] || "m4a"
-    }`;
-    formData.append("audio", audioBlob, filename);
+    const draft = outbox.items.find((item) => item.id === draftId);
 
     try {
-      const response = await fetch(
-        "http://localhost:5000/api/recordings/upload",
-        {
-          method: "POST",
-          body: formData,
-        }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        console.log("Server upload successful:", data);
-        setError("");
-        fetchRecordings();
-        setAudioBlob(null);
-        if (audioUrl) {
-          URL.revokeObjectURL(audioUrl);
-          setAudioUrl("");
-        }
+      if (draft) {
+        // Upload the take as shown, an edit may still be on its way into the
+        // outbox (or have failed to get there)
+        await outbox.submit({
+          ...draft,
+          blob: audioBlob,
+          size: audioBlob.size,
+          type: audioBlob.type,
+        });
       } else {
-        const errorData = await response.json();
-        console.error("Server upload failed:", errorData);
-        setError("Upload failed: " + (errorData.message || "Unknown error"));
+        // The outbox is unavailable (e.g. IndexedDB blocked), upload directly
+        const filename = `recording_${Date.now()}.${getFileExtension(
+          audioBlob.type
+        )}`;
+        handleUploaded(null, await uploader.upload(audioBlob, filename));
       }
     } catch (uploadError) {
+      reportUploadError(uploadError);
+    }
+  };
+
+  // Submit a recording from the Pending Uploads list
+  const handleSubmitPending = async (item) => {
+    const limitError = getUploadLimitError(item.blob);
+    if (limitError) {
+      setError(limitError);
+      return;
+    }
+
+    setError("");
+    try {
+      await outbox.submit(item);
+    } catch (uploadError) {
+      reportUploadError(uploadError);
+    }
+  };
+
+  const handleDiscardPending = (item) => {
+    if (
+      !window.confirm(
+        `Discard ${item.filename}? It has not been uploaded and cannot be recovered.`
+      )
+    ) {
+      return;
+    }
+    outbox.remove(item.id).catch((err) => {
+      console.error("Failed to discard recording:", err);
+      setError("Failed to discard recording: " + err.message);
+    });
+  };
+
+  const reportUploadError = (uploadError) => {
+    if (uploadError.name === "AbortError") {
+      setError("Upload cancelled.");
+    } else if (uploadError instanceof ApiError) {
+      console.error("Server upload failed:", uploadError.data);
+      setError("Upload failed: " + uploadError.message);
+    } else {
       console.error("Network error during upload:", uploadError);
       setError("Network error: Could not connect to server.");
     }
@@ -446,29 +503,237 @@ const startPlayback = () => {
       [recordingId]: newFormat,
     }));
 
-    // If this recording is currently playing, stop it
-    if (selectedRecording?._id === recordingId && isPlaying) {
+    // The loaded URL belongs to the previous format
+    if (selectedRecording?._id === recordingId) {
       stopPlayback();
     }
   };
 
   // Play fetched recording from the list
   const playRecording = (recording) => {
-    if (selectedRecording?._id === recording._id && isPlaying) {
-      stopPlayback();
+    const url = getRecordingUrl(recording);
+    if (isPlaying && playerSrc === url) {
+      player.pause();
       return;
     }
 
     setSelectedRecording(recording);
-    startPlayback();
+    playUrl(url);
+  };
+
+  const handleSaveRecording = (recording, changes) => {
+    setEditingRecordingId(null);
+    setError("");
+    recordings.update(recording, changes);
+  };
+
+  // `label` names the recordings in the confirmation, e.g. "3 recordings"
+  const deleteRecordings = (list, label) => {
+    if (
+      !window.confirm(`Delete ${label}? You can undo this for a few seconds.`)
+    ) {
+      return;
+    }
+    const ids = new Set(list.map((recording) => recording._id));
+    if (ids.has(selectedRecording?._id)) stopPlayback();
+    if (ids.has(editingRecordingId)) setEditingRecordingId(null);
+    setCheckedIds((prev) => new Set([...prev].filter((id) => !ids.has(id))));
+    recordings.remove(list);
+  };
+
+  const toggleChecked = (recording) =>
+    setCheckedIds((prev) => {
+      const next = new Set(prev);
+      if (!next.delete(recording._id)) next.add(recording._id);
+      return next;
+    });
+
+  const handleSelectAll = (checked) =>
+    setCheckedIds(
+      new Set(checked ? recordings.items.map((recording) => recording._id) : [])
+    );
+
+  // Name for saving a recording in its selected format
+  const getRecordingFilename = (recording, blob) =>
+    getDownloadFilename(
+      getRecordingName(recording),
+      getRecordingInfo(recording).mimetype || blob.type
+    );
+
+  const fetchRecordingFile = async (recording) => {
+    const blob = await fetchBlob(getRecordingUrl(recording));
+    return new File([blob], getRecordingFilename(recording, blob), {
+      type: blob.type,
+    });
+  };
+
+  // The local take keeps the name it has in the outbox
+  const getLocalFile = () => {
+    const draft = outbox.items.find((item) => item.id === draftId);
+    const filename =
+      draft?.filename || getDownloadFilename("recording", audioBlob.type);
+    return new File([audioBlob], filename, { type: audioBlob.type });
+  };
+
+  // Fetch the checked recordings in their selected formats, one at a time.
+  // Resolves with the names of those that failed.
+  const fetchCheckedRecordings = async (onFetched) => {
+    const failed = [];
+    for (const [index, recording] of checkedRecordings.entries()) {
+      setBatchProgress(
+        `Downloading ${index + 1} of ${checkedRecordings.length}...`
+      );
+      try {
+        const url = getRecordingUrl(recording);
+        if (!url) throw new Error("Format not available");
+        onFetched(recording, await fetchBlob(url));
+      } catch (err) {
+        console.error(`Failed to download ${recording._id}:`, err);
+        failed.push(getRecordingName(recording));
+      }
+    }
+    return failed;
+  };
+
+  const reportDownloadFailures = (failed) => {
+    if (failed.length > 0) {
+      setError(`Failed to download ${failed.join(", ")}`);
+    }
+  };
+
+  const handleBatchDownload = async () => {
+    setError("");
+    try {
+      reportDownloadFailures(
+        await fetchCheckedRecordings((recording, blob) =>
+          downloadBlob(blob, getRecordingFilename(recording, blob))
+        )
+      );
+    } finally {
+      setBatchProgress("");
+    }
+  };
+
+  // Bundle the checked recordings into a ZIP assembled in the browser
+  const handleDownloadZip = async () => {
+    setError("");
+    const files = [];
+    const usedNames = new Set();
+    try {
+      const failed = await fetchCheckedRecordings((recording, blob) =>
+        files.push({
+          name: getUniqueFilename(
+            getRecordingFilename(recording, blob),
+            usedNames
+          ),
+          data: blob,
+          lastModified: new Date(recording.uploadDate),
+        })
+      );
+      if (files.length > 0) {
+        setBatchProgress("Creating ZIP...");
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(await createZip(files), `recordings_${date}.zip`);
+      }
+      reportDownloadFailures(failed);
+    } catch (err) {
+      console.error("Failed to create ZIP:", err);
+      setError("Failed to create ZIP: " + err.message);
+    } finally {
+      setBatchProgress("");
+    }
   };
 
-  // Format file size
-  const formatFileSize = (bytes) => {
-    if (!bytes) return "0 KB";
-    return (bytes / 1024).toFixed(2) + " KB";
+  const handleBatchRetag = (changes) => {
+    setError("");
+    checkedRecordings.forEach((recording) => {
+      const tags = applyTagChanges(recording.tags, changes);
+      if (!isSameTags(tags, recording.tags)) {
+        recordings.update(recording, { tags });
+      }
+    });
   };
 
+  const seekRecording = (time) => {
+    player.load(selectedRecordingUrl);
+    player.seek(time);
+  };
+
+  // The current take is being uploaded, by Submit or by the outbox sync
+  const isSubmittingDraft = draftId
+    ? outbox.submittingId === draftId || outbox.syncingId === draftId
+    : uploader.isUploading && !outbox.submittingId;
+  const draftUploader =
+    draftId && outbox.syncingId === draftId ? syncUploader : uploader;
+  const canStartRecording =
+    !isConverting && !isEditing && recorder.canStart && !isSubmittingDraft;
+  const canSubmit =
+    !isConverting && !isEditing && !isSubmittingDraft && !uploader.isUploading;
+
+  // Push-to-talk: the microphone is opened on key down, so the recording may
+  // only start after the key was released again
+  useEffect(() => {
+    if (isRecording && pushToTalkRef.current === "released") {
+      pushToTalkRef.current = null;
+      stopRecording();
+    }
+  }, [isRecording, stopRecording]);
+
+  const shortcutBindings = useMemo(
+    () => ({ ...DEFAULT_SHORTCUTS, ...shortcuts }),
+    [shortcuts]
+  );
+  useKeyboardShortcuts(shortcutBindings, {
+    toggleRecording: {
+      onKeyDown: () => {
+        if (isCapturing) recorder.stop();
+        else if (canStartRecording) startRecording();
+      },
+    },
+    pause: {
+      onKeyDown: () => {
+        if (isPaused) recorder.resume();
+        else if (isRecording) recorder.pause();
+      },
+    },
+    togglePlayback: {
+      onKeyDown: () => {
+        if (isPlaying) player.pause();
+        else if (audioUrl && !isConverting) toggleLocalPlayback();
+        else if (selectedRecording) playRecording(selectedRecording);
+      },
+    },
+    submit: {
+      onKeyDown: () => {
+        if (audioBlob && canSubmit) handleSubmit();
+      },
+    },
+    pushToTalk: isPushToTalk && {
+      onKeyDown: () => {
+        if (isCapturing || !canStartRecording) return;
+        startRecording({ voiceActivated: false });
+        pushToTalkRef.current = "held";
+      },
+      onKeyUp: () => {
+        if (pushToTalkRef.current !== "held") return;
+        pushToTalkRef.current = isRecording ? null : "released";
+        recorder.stop();
+      },
+    },
+    help: {
+      onKeyDown: () => setIsShortcutHelpOpen((open) => !open),
+    },
+  });
+  const closeShortcutHelp = useCallback(() => setIsShortcutHelpOpen(false), []);
+  const displayError = error || recorder.error;
+  const statusMessage = isConverting
+    ? `Converting audio to ${getOutputFormat(outputConfig).label}...`
+    : isEditing
+    ? "Applying edit..."
+    : !recorder.isReady && !recorder.error
+    ? "Loading audio converter..."
+    : "";
+
   return (
     <>
       <div
@@ -486,46 +751,301 @@ const startPlayback = () => {
           Web Voice Recorder
         </h2>
 
-        {(error || isConverting) && (
+        <div style={{ textAlign: "right", marginTop: "-10px" }}>
+          <button
+            onClick={() => setIsShortcutHelpOpen(true)}
+            style={{
+              padding: 0,
+              border: "none",
+              background: "none",
+              color: "#2196F3",
+              textDecoration: "underline",
+              cursor: "pointer",
+              fontSize: "13px",
+            }}
+          >
+            ⌨ Keyboard shortcuts
+            {shortcutBindings.help &&
+              ` (${formatShortcut(shortcutBindings.help)})`}
+          </button>
+        </div>
+
+        {(displayError || statusMessage) && (
           <div
             style={{
-              color: isConverting ? "#2196F3" : "#ff4444",
-              backgroundColor: isConverting ? "#e6f3ff" : "#ffe6e6",
+              color: displayError ? "#ff4444" : "#2196F3",
+              backgroundColor: displayError ? "#ffe6e6" : "#e6f3ff",
               padding: "10px",
               borderRadius: "5px",
               marginBottom: "20px",
               textAlign: "center",
-              border: `1px solid ${isConverting ? "#2196F3" : "#ff4444"}`,
+              border: `1px solid ${displayError ? "#ff4444" : "#2196F3"}`,
             }}
           >
-            {error || "Converting..."}
+            {displayError || statusMessage}
           </div>
         )}
 
+        <MicrophoneHelp
+          issue={recorder.micIssue}
+          onDismiss={
+            recorder.permission === "denied" ? undefined : recorder.clearError
+          }
+        />
+
+        {/* Interrupted recordings */}
+        {recorder.interruptedSessions.map((session) => (
+          <div
+            key={session.id}
+            style={{
+              color: "#8a6d3b",
+              backgroundColor: "#fffbe6",
+              padding: "10px",
+              borderRadius: "5px",
+              marginBottom: "20px",
+              textAlign: "center",
+              border: "1px solid #ffe58f",
+            }}
+          >
+            An interrupted recording from{" "}
+            {new Date(session.startedAt).toLocaleString()} (
+            {formatTime(Math.floor(session.recordedMs / 1000))},{" "}
+            {formatFileSize(session.size)}) was found.
+            <div>
+              <button
+                style={{ ...smallButtonStyle, backgroundColor: "#4CAF50" }}
+                onClick={() => recorder.recover(session.id)}
+                disabled={!recorder.isReady || recorder.status !== "idle"}
+              >
+                Recover
+              </button>
+              <button
+                style={{ ...smallButtonStyle, backgroundColor: "#ff4444" }}
+                onClick={() => recorder.discardInterrupted(session.id)}
+                disabled={recorder.status !== "idle"}
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        ))}
+
         {/* Recording section */}
         <div style={{ marginBottom: "20px", textAlign: "center" }}>
           <div
-            style={{ marginBottom: "10px", fontSize: "18px", color: "#555" }}
+            style={{
+              marginBottom: "10px",
+              fontSize: "18px",
+              color: isPaused ? "#ff9800" : "#555",
+            }}
           >
             Recording Time: {formatTime(recordingTime)}
+            {maxDurationSeconds && ` / ${formatTime(maxDurationSeconds)}`}
+            {isPaused && (
+              <span style={{ marginLeft: "8px", fontWeight: "bold" }}>
+                (Paused)
+              </span>
+            )}
           </div>
 
+          {(isRecording || isPaused) &&
+            recorder.remainingSeconds !== null &&
+            recorder.remainingSeconds <= LIMIT_COUNTDOWN_SECONDS && (
+              <div
+                role="timer"
+                style={{
+                  marginBottom: "10px",
+                  fontSize: "14px",
+                  fontWeight: "bold",
+                  color:
+                    recorder.remainingSeconds <= 10 ? "#ff4444" : "#ff9800",
+                }}
+              >
+                Recording stops automatically in{" "}
+                {formatTime(recorder.remainingSeconds)}
+              </div>
+            )}
+
+          {recorder.autoStopReason && !isRecording && !isPaused && (
+            <div
+              style={{ marginBottom: "10px", fontSize: "14px", color: "#555" }}
+            >
+              Recording stopped automatically at the{" "}
+              {recorder.autoStopReason === "duration"
+                ? `${formatTime(maxDurationSeconds)} duration limit`
+                : `${formatFileSize(maxSizeBytes)} size limit`}
+              .
+            </div>
+          )}
+
+          {isArmed && (
+            <div
+              style={{
+                marginBottom: "10px",
+                fontSize: "14px",
+                color: "#2196F3",
+              }}
+            >
+              Listening... recording starts when you speak.
+            </div>
+          )}
+
+          {isCapturing && (
+            <LevelMeter stream={recorder.stream} paused={isPaused} />
+          )}
+
+          <div
+            style={{
+              marginBottom: "10px",
+              fontSize: "14px",
+              color: "#555",
+            }}
+          >
+            <label style={{ fontWeight: "bold", marginRight: "8px" }}>
+              Quality:
+            </label>
+            <select
+              value={selectedPreset}
+              onChange={(e) => setSelectedPreset(e.target.value)}
+              disabled={isConverting}
+              style={{
+                padding: "3px 6px",
+                borderRadius: "4px",
+                border: "1px solid #ccc",
+                fontSize: "14px",
+                backgroundColor: "white",
+              }}
+            >
+              <option value="">
+                Default ({describeOutputConfig(defaultOutputConfig)})
+              </option>
+              {Object.entries(OUTPUT_PRESETS).map(([name, { label }]) => (
+                <option key={name} value={name}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {selectedPreset && (
+              <div
+                style={{ fontSize: "12px", color: "#888", marginTop: "4px" }}
+              >
+                {describeOutputConfig(outputConfig)}
+              </div>
+            )}
+          </div>
+
+          <ProcessingOptions
+            trimSilence={processing.trimSilence}
+            loudnessTarget={processing.loudnessTarget}
+            disabled={isConverting}
+            onChange={(changes) =>
+              setProcessing((prev) => ({ ...prev, ...changes }))
+            }
+          />
+
+          <InputSettings
+            settings={inputSettings.settings}
+            devices={inputDevices}
+            disabled={isCapturing}
+            onChange={inputSettings.update}
+          />
+
+          <label
+            style={{
+              display: "block",
+              marginBottom: "10px",
+              fontSize: "14px",
+              color: "#555",
+              cursor: "pointer",
+            }}
+            title="Start when you speak and stop after a pause"
+          >
+            <input
+              type="checkbox"
+              checked={isHandsFree}
+              onChange={(e) => setIsHandsFree(e.target.checked)}
+              disabled={isCapturing}
+              style={{ marginRight: "6px" }}
+            />
+            Hands-free (voice activated)
+          </label>
+
+          {shortcutBindings.pushToTalk && (
+            <label
+              style={{
+                display: "block",
+                marginBottom: "10px",
+                fontSize: "14px",
+                color: "#555",
+                cursor: "pointer",
+              }}
+              title="Record while holding the push-to-talk key"
+            >
+              <input
+                type="checkbox"
+                checked={isPushToTalk}
+                onChange={(e) => setIsPushToTalk(e.target.checked)}
+                disabled={isCapturing}
+                style={{ marginRight: "6px" }}
+              />
+              Push-to-talk (hold {formatShortcut(shortcutBindings.pushToTalk)})
+            </label>
+          )}
+
           <button
             style={recordButtonStyle}
-            onClick={isRecording ? stopRecording : startRecording}
-            disabled={!!error || isConverting || !ffmpegRef.current.loaded}
+            onClick={isCapturing ? recorder.stop : () => startRecording()}
+            disabled={
+              isConverting ||
+              isEditing ||
+              !recorder.canStart ||
+              isSubmittingDraft
+            }
           >
-            {isRecording ? "⏹ Stop Recording" : "🎤 Start Recording"}
+            {isArmed
+              ? "⏹ Cancel"
+              : isCapturing
+              ? "⏹ Stop Recording"
+              : "🎤 Start Recording"}
           </button>
-        </div>
 
-        {/* Hidden Audio Player */}
-        <audio
-          ref={audioPlayerRef}
-          onEnded={handleAudioEnded}
-          style={{ display: "none" }}
-          crossOrigin="anonymous"
-        />
+          {(isRecording || isPaused) && (
+            <button
+              style={pauseButtonStyle}
+              onClick={isPaused ? recorder.resume : recorder.pause}
+            >
+              {isPaused ? "⏺ Resume" : "⏸ Pause"}
+            </button>
+          )}
+
+          {audioUrl && !isCapturing && (
+            <div>
+              <button
+                style={getPlayButtonStyle()}
+                onClick={() => startRecording({ spliceAt: Infinity })}
+                disabled={!canStartRecording}
+                title="Record another take and add it to the end"
+              >
+                ➕ Append Take
+              </button>
+              <button
+                style={getPlayButtonStyle()}
+                onClick={() =>
+                  startRecording({
+                    spliceAt: isLocalPlayback ? player.getCurrentTime() : 0,
+                  })
+                }
+                disabled={!canStartRecording}
+                title="Record another take and insert it at the playhead"
+              >
+                ⤵ Insert at{" "}
+                {formatTime(
+                  Math.floor(isLocalPlayback ? player.currentTime : 0)
+                )}
+              </button>
+            </div>
+          )}
+        </div>
 
         {/* Local Playback and Submit Section */}
         {audioUrl && (
@@ -543,20 +1063,68 @@ const startPlayback = () => {
             <div
               style={{ marginBottom: "10px", fontSize: "18px", color: "#555" }}
             >
-              Playback Time: {formatTime(playbackTime)}
+              Playback Time:{" "}
+              {formatTime(Math.floor(isLocalPlayback ? player.currentTime : 0))}{" "}
+              / {formatTime(Math.floor(localDuration))}
             </div>
 
-            <button
-              style={getPlayButtonStyle(isPlaying && !selectedRecording)}
-              onClick={
-                isPlaying && !selectedRecording ? stopPlayback : startPlayback
-              }
-              disabled={isConverting}
-            >
-              {isPlaying && !selectedRecording
-                ? "⏹ Stop Playing"
-                : "▶ Play Recording"}
-            </button>
+            {isTrimming ? (
+              <TrimEditor
+                waveform={localWaveform}
+                duration={localDuration}
+                src={audioUrl}
+                player={player}
+                disabled={isEditing}
+                onApply={handleTrim}
+                onCancel={() => setIsTrimming(false)}
+              />
+            ) : (
+              <>
+                <div style={{ marginBottom: "10px" }}>
+                  <Waveform
+                    peaks={localWaveform.peaks}
+                    duration={localDuration}
+                    currentTime={isLocalPlayback ? player.currentTime : 0}
+                    isPlaying={isLocalPlayback && isPlaying}
+                    getCurrentTime={player.getCurrentTime}
+                    onSeek={seekLocal}
+                    isLoading={localWaveform.isLoading}
+                    error={localWaveform.error}
+                  />
+                </div>
+
+                <button
+                  style={getPlayButtonStyle(isLocalPlayback)}
+                  onClick={toggleLocalPlayback}
+                  disabled={isConverting}
+                >
+                  {isLocalPlayback && isPlaying
+                    ? "⏸ Pause"
+                    : "▶ Play Recording"}
+                </button>
+                <button
+                  style={getPlayButtonStyle()}
+                  onClick={player.stop}
+                  disabled={!isLocalPlayback}
+                >
+                  ⏹ Stop
+                </button>
+                <button
+                  style={{
+                    ...buttonStyle,
+                    backgroundColor: "#ff9800",
+                    color: "white",
+                    padding: "5px",
+                  }}
+                  onClick={() => setIsTrimming(true)}
+                  disabled={
+                    isConverting || isSubmittingDraft || !localWaveform.peaks
+                  }
+                >
+                  ✂ Trim
+                </button>
+              </>
+            )}
 
             <div
               style={{
@@ -571,6 +1139,26 @@ const startPlayback = () => {
               Type: {audioBlob?.type || "Unknown"}
               <br />
               Size: {formatFileSize(audioBlob?.size)}
+              {audioLevels && (
+                <>
+                  <br />
+                  Loudness:{" "}
+                  {formatLevelChange(audioLevels, "integrated", "LUFS")}
+                  <br />
+                  True peak:{" "}
+                  {formatLevelChange(audioLevels, "truePeak", "dBTP")}
+                </>
+              )}
+            </div>
+
+            <div style={{ marginTop: "10px" }}>
+              <ShareActions
+                fileKey={audioUrl}
+                getFile={getLocalFile}
+                title="Voice recording"
+                disabled={isConverting || isEditing}
+                onError={setError}
+              />
             </div>
 
             <button
@@ -581,14 +1169,33 @@ const startPlayback = () => {
                 marginTop: "10px",
               }}
               onClick={handleSubmit}
-              disabled={isConverting || !audioBlob}
+              disabled={!audioBlob || !canSubmit}
             >
-              Submit Recording
+              {isSubmittingDraft ? "Uploading..." : "Submit Recording"}
             </button>
+
+            {isSubmittingDraft && (
+              <UploadProgress
+                progress={draftUploader.progress}
+                retryInfo={draftUploader.retryInfo}
+                onCancel={draftUploader.cancel}
+              />
+            )}
           </div>
         )}
       </div>
 
+      <PendingUploads
+        items={outbox.items.filter((item) => item.id !== draftId)}
+        submittingId={outbox.submittingId}
+        syncingId={outbox.syncingId}
+        uploader={uploader}
+        syncUploader={syncUploader}
+        disabled={uploader.isUploading}
+        onSubmit={handleSubmitPending}
+        onDiscard={handleDiscardPending}
+      />
+
       {/* Recordings List */}
       <div
         style={{
@@ -606,16 +1213,39 @@ const startPlayback = () => {
           Saved Audio Files
         </h3>
 
-        {recordingsList.length > 0 ? (
-          <div>
-            {recordingsList.map((recording) => {
-              const selectedFormat = recordingFormats[recording._id] || "mp3";
+        <RecordingsFilters
+          filters={recordingsFilters}
+          onChange={setRecordingsFilters}
+        />
+
+        <BatchActions
+          selectedCount={checkedRecordings.length}
+          itemCount={recordings.items.length}
+          busy={batchProgress}
+          onSelectAll={handleSelectAll}
+          onDelete={() =>
+            deleteRecordings(
+              checkedRecordings,
+              `${checkedRecordings.length} recordings`
+            )
+          }
+          onDownload={handleBatchDownload}
+          onDownloadZip={handleDownloadZip}
+          onRetag={handleBatchRetag}
+        />
+
+        {recordings.items.length > 0 ? (
+          <VirtualList
+            items={recordings.items}
+            getKey={(recording) => recording._id}
+            onEndReached={recordings.loadMore}
+            renderItem={(recording) => {
               const recordingInfo = getRecordingInfo(recording);
-              const isAvailable = !!getRecordingUrl(recording);
+              const recordingUrl = getRecordingUrl(recording);
+              const isAvailable = !!recordingUrl;
 
               return (
                 <div
-                  key={recording._id}
                   style={{
                     padding: "10px",
                     margin: "5px",
@@ -644,6 +1274,13 @@ const startPlayback = () => {
                       marginBottom: "8px",
                     }}
                   >
+                    <input
+                      type="checkbox"
+                      checked={checkedIds.has(recording._id)}
+                      onChange={() => toggleChecked(recording)}
+                      aria-label={`Select ${getRecordingName(recording)}`}
+                      style={{ marginRight: "10px" }}
+                    />
                     <div style={{ flex: 1 }}>
                       <div
                         style={{
@@ -652,7 +1289,7 @@ const startPlayback = () => {
                           color: "#333",
                         }}
                       >
-                        {getRecordingDisplayName(recording)}
+                        {recording.title || getRecordingName(recording)}
                       </div>
                       <div
                         style={{
@@ -661,9 +1298,71 @@ const startPlayback = () => {
                           marginTop: "2px",
                         }}
                       >
+                        {recording.title && `${getRecordingName(recording)} · `}
                         {new Date(recording.uploadDate).toLocaleString()}
                       </div>
+                      {recording.description && (
+                        <div
+                          style={{
+                            fontSize: "12px",
+                            color: "#555",
+                            marginTop: "4px",
+                          }}
+                        >
+                          {recording.description}
+                        </div>
+                      )}
+                      {recording.tags?.length > 0 && (
+                        <div style={{ marginTop: "4px" }}>
+                          {recording.tags.map((tag) => (
+                            <span
+                              key={tag}
+                              style={{
+                                display: "inline-block",
+                                marginRight: "4px",
+                                padding: "1px 6px",
+                                borderRadius: "10px",
+                                backgroundColor: "#e6f3ff",
+                                color: "#2196F3",
+                                fontSize: "11px",
+                              }}
+                            >
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
                     </div>
+                    <button
+                      style={{
+                        ...smallButtonStyle,
+                        backgroundColor: "#999",
+                      }}
+                      onClick={() =>
+                        setEditingRecordingId(
+                          editingRecordingId === recording._id
+                            ? null
+                            : recording._id
+                        )
+                      }
+                      title="Rename or edit title, description and tags"
+                    >
+                      ✎ Edit
+                    </button>
+                    <button
+                      style={{
+                        ...smallButtonStyle,
+                        backgroundColor: "#ff4444",
+                      }}
+                      onClick={() =>
+                        deleteRecordings(
+                          [recording],
+                          getRecordingName(recording)
+                        )
+                      }
+                    >
+                      🗑 Delete
+                    </button>
                     <button
                       style={{
                         ...getPlayButtonStyle(
@@ -674,17 +1373,62 @@ const startPlayback = () => {
                       onClick={() => playRecording(recording)}
                       disabled={isConverting || !isAvailable}
                       title={
-                        !isAvailable
-                          ? `${selectedFormat.toUpperCase()} format not available`
+                        recordingInfo.isProcessing
+                          ? `${recordingInfo.label} is still processing`
+                          : !isAvailable
+                          ? `${recordingInfo.label || "This"} format is not available`
                           : ""
                       }
                     >
                       {selectedRecording?._id === recording._id && isPlaying
-                        ? "⏹ Stop"
+                        ? "⏸ Pause"
                         : "▶ Play"}
                     </button>
                   </div>
 
+                  {editingRecordingId === recording._id && (
+                    <RecordingEditor
+                      recording={recording}
+                      onSave={(changes) =>
+                        handleSaveRecording(recording, changes)
+                      }
+                      onCancel={() => setEditingRecordingId(null)}
+                    />
+                  )}
+
+                  {selectedRecording?._id === recording._id && (
+                    <div style={{ marginBottom: "8px" }}>
+                      <Waveform
+                        peaks={recordingWaveform.peaks}
+                        duration={recordingDuration}
+                        currentTime={
+                          isRecordingPlayback ? player.currentTime : 0
+                        }
+                        isPlaying={isRecordingPlayback && isPlaying}
+                        getCurrentTime={player.getCurrentTime}
+                        onSeek={seekRecording}
+                        isLoading={recordingWaveform.isLoading}
+                        error={recordingWaveform.error}
+                        height={40}
+                      />
+                      <div
+                        style={{
+                          fontSize: "12px",
+                          color: "#666",
+                          marginTop: "4px",
+                          textAlign: "right",
+                        }}
+                      >
+                        {formatTime(
+                          Math.floor(
+                            isRecordingPlayback ? player.currentTime : 0
+                          )
+                        )}{" "}
+                        / {formatTime(Math.floor(recordingDuration))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Format selection and info row */}
                   <div
                     style={{
@@ -712,7 +1456,7 @@ const startPlayback = () => {
                         Format:
                       </label>
                       <select
-                        value={selectedFormat}
+                        value={recordingInfo.format || ""}
                         onChange={(e) =>
                           handleFormatChange(recording._id, e.target.value)
                         }
@@ -724,9 +1468,25 @@ const startPlayback = () => {
                           backgroundColor: "white",
                         }}
                       >
-                        <option value="mp3">MP3</option>
-                        <option value="mp4">MP4</option>
+                        {getRenditions(recording).map((rendition) => (
+                          <option
+                            key={rendition.format}
+                            value={rendition.format}
+                            disabled={!rendition.isAvailable}
+                          >
+                            {rendition.label}
+                            {rendition.isProcessing && " (processing)"}
+                          </option>
+                        ))}
                       </select>
+                      <ShareActions
+                        fileKey={recordingUrl}
+                        getFile={() => fetchRecordingFile(recording)}
+                        link={recordingUrl}
+                        title={recording.title || getRecordingName(recording)}
+                        disabled={!isAvailable}
+                        onError={setError}
+                      />
                     </div>
 
                     <div
@@ -738,21 +1498,78 @@ const startPlayback = () => {
                     >
                       {recordingInfo.mimetype || "N/A"} |{" "}
                       {formatFileSize(recordingInfo.size)}
-                      {!isAvailable && " (Not available)"}
+                      {recordingInfo.isProcessing
+                        ? " (Processing)"
+                        : !isAvailable && " (Not available)"}
                     </div>
                   </div>
                 </div>
               );
-            })}
-          </div>
+            }}
+          />
         ) : (
           <p
             style={{ textAlign: "center", color: "#666", fontStyle: "italic" }}
           >
-            No recordings available from the server.
+            {recordings.isLoading
+              ? "Loading recordings..."
+              : recordingsQuery.q || recordingsQuery.from || recordingsQuery.to
+              ? "No recordings match the filters."
+              : "No recordings available from the server."}
           </p>
         )}
+
+        {(recordings.items.length > 0 || recordings.error) && (
+          <div
+            style={{
+              fontSize: "12px",
+              color: recordings.error ? "#ff4444" : "#666",
+              textAlign: "center",
+              marginTop: "8px",
+            }}
+          >
+            {recordings.error
+              ? `Failed to load recordings: ${recordings.error.message}`
+              : recordings.isLoading
+              ? "Loading more..."
+              : `Showing ${recordings.items.length}${
+                  recordings.total != null ? ` of ${recordings.total}` : ""
+                } recordings`}
+            {recordings.error && (
+              <button
+                onClick={
+                  recordings.items.length > 0
+                    ? recordings.loadMore
+                    : recordings.refresh
+                }
+                style={{ ...smallButtonStyle, backgroundColor: "#2196F3" }}
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
       </div>
+
+      <UndoToast
+        items={recordings.pendingRemovals.map((removal) => ({
+          key: removal.id,
+          message:
+            removal.recordings.length === 1
+              ? `Deleted ${getRecordingName(removal.recordings[0])}`
+              : `Deleted ${removal.recordings.length} recordings`,
+          removal,
+        }))}
+        onUndo={(item) => recordings.undoRemove(item.removal)}
+      />
+
+      {isShortcutHelpOpen && (
+        <ShortcutHelp
+          shortcuts={shortcutBindings}
+          isPushToTalk={isPushToTalk}
+          onClose={closeShortcutHelp}
+        />
+      )}
     </>
   );
 };
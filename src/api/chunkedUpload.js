@@ -0,0 +1,139 @@
+import { ApiError } from "./client";
+
+// Resumable upload in fixed size chunks:
+//
+//   POST /recordings/upload/init      { filename, size, mimeType } -> { uploadId, offset }
+//   GET  /recordings/upload/status    ?uploadId=...               -> { offset, size }
+//   POST /recordings/upload/chunk     raw bytes, Upload-Id and Upload-Offset
+//                                     headers                     -> { offset }
+//   POST /recordings/upload/complete  { uploadId }                -> recording
+//
+// A chunk sent at the wrong offset is rejected with 409 and the offset the
+// server has. The upload id is kept in localStorage per blob, so an upload
+// interrupted by a dropout or a reload continues from the last offset the
+// server acknowledged. scripts/mock-server.js implements the server side.
+
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+const SESSIONS_KEY = "webVoiceRecorder.uploadSessions";
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const FINGERPRINT_SAMPLE_BYTES = 256 * 1024;
+
+const loadSessions = () => {
+  try {
+    const sessions = JSON.parse(localStorage.getItem(SESSIONS_KEY)) || {};
+    const now = Date.now();
+    return Object.fromEntries(
+      Object.entries(sessions).filter(
+        ([, session]) => now - session.createdAt < SESSION_MAX_AGE_MS
+      )
+    );
+  } catch {
+    return {};
+  }
+};
+
+const saveSessions = (sessions) => {
+  try {
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+  } catch (err) {
+    console.warn("Could not persist upload sessions:", err);
+  }
+};
+
+const saveSession = (fingerprint, session) =>
+  saveSessions({ ...loadSessions(), [fingerprint]: session });
+
+const removeSession = (fingerprint) => {
+  const sessions = loadSessions();
+  delete sessions[fingerprint];
+  saveSessions(sessions);
+};
+
+// Identify a blob across reloads from its size, type and an FNV-1a hash of
+// its first and last bytes, without reading all of it
+export const getBlobFingerprint = async (blob) => {
+  const head = blob.slice(0, FINGERPRINT_SAMPLE_BYTES);
+  const tail = blob.slice(
+    Math.max(FINGERPRINT_SAMPLE_BYTES, blob.size - FINGERPRINT_SAMPLE_BYTES)
+  );
+  const bytes = new Uint8Array(await new Blob([head, tail]).arrayBuffer());
+
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return `${blob.size}-${blob.type}-${(hash >>> 0).toString(16)}`;
+};
+
+// Upload `blob` with the chunked protocol, resuming a previous session for
+// the same blob when the server still knows it. Resolves with the response
+// of the complete request. Safe to call again after a failure.
+export const uploadInChunks = async (
+  api,
+  blob,
+  filename,
+  { chunkSize = DEFAULT_CHUNK_SIZE, onProgress, signal } = {}
+) => {
+  const fingerprint = await getBlobFingerprint(blob);
+  let uploadId = loadSessions()[fingerprint]?.uploadId;
+  let offset = 0;
+
+  if (uploadId) {
+    try {
+      ({ offset } = await api.getChunkedUploadStatus(uploadId, { signal }));
+      console.log(`Resuming upload ${uploadId} at byte ${offset}`);
+    } catch (error) {
+      if (!(error instanceof ApiError && error.status === 404)) throw error;
+      // The server dropped the session, start over
+      removeSession(fingerprint);
+      uploadId = null;
+    }
+  }
+
+  if (!uploadId) {
+    const session = await api.initChunkedUpload(
+      { filename, size: blob.size, mimeType: blob.type },
+      { signal }
+    );
+    uploadId = session.uploadId;
+    offset = session.offset || 0;
+    saveSession(fingerprint, { uploadId, createdAt: Date.now() });
+  }
+
+  if (onProgress) onProgress({ loaded: offset, total: blob.size });
+
+  while (offset < blob.size) {
+    const chunkStart = offset;
+    const chunk = blob.slice(chunkStart, chunkStart + chunkSize);
+
+    try {
+      ({ offset } = await api.uploadChunk(uploadId, chunkStart, chunk, {
+        signal,
+        onProgress: ({ loaded }) => {
+          if (onProgress) {
+            onProgress({ loaded: chunkStart + loaded, total: blob.size });
+          }
+        },
+      }));
+    } catch (error) {
+      // The server has a different offset, e.g. the response to a chunk it
+      // stored was lost. Continue from there.
+      if (
+        error instanceof ApiError &&
+        error.status === 409 &&
+        Number.isInteger(error.data?.offset)
+      ) {
+        offset = error.data.offset;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  const data = await api.completeChunkedUpload(uploadId, { signal });
+  removeSession(fingerprint);
+  return data;
+};
@@ -0,0 +1,282 @@
+// Backend base URL, e.g. https://staging.example.com/api
+export const DEFAULT_API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api";
+
+// Paths relative to the base URL (absolute URLs are used as is). ":name"
+// segments are filled in per request, e.g. the recording id.
+export const DEFAULT_ENDPOINTS = {
+  recordings: "/recordings",
+  recording: "/recordings/:id",
+  upload: "/recordings/upload",
+  uploadInit: "/recordings/upload/init",
+  uploadStatus: "/recordings/upload/status",
+  uploadChunk: "/recordings/upload/chunk",
+  uploadComplete: "/recordings/upload/complete",
+  uploadLimits: "/recordings/upload/limits",
+};
+
+// Rewrites applied to media URLs returned by the server. A rule applies when
+// `hostname` (string or RegExp, omitted = always) matches the page hostname
+// and replaces `from` (string or RegExp) with `to` in the media URL.
+//
+// The defaults let the Android emulator, which reaches the host machine
+// through 10.0.2.2, and a desktop browser share the same backend.
+export const DEFAULT_MEDIA_URL_RULES = [
+  { hostname: "localhost", from: "10.0.2.2", to: "localhost" },
+  { hostname: "10.0.2.2", from: "localhost", to: "10.0.2.2" },
+];
+
+// VITE_MEDIA_URL_RULES holds a JSON array of { hostname, from, to } strings
+const getEnvMediaUrlRules = () => {
+  const rules = import.meta.env.VITE_MEDIA_URL_RULES;
+  if (!rules) return DEFAULT_MEDIA_URL_RULES;
+
+  try {
+    return JSON.parse(rules);
+  } catch (err) {
+    console.error("Invalid VITE_MEDIA_URL_RULES, using defaults:", err);
+    return DEFAULT_MEDIA_URL_RULES;
+  }
+};
+
+export class ApiError extends Error {
+  constructor(message, { status, data } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Network errors and transient server errors are worth retrying, other
+// HTTP errors (validation, auth, ...) are not
+export const isRetryableError = (error) => {
+  if (error?.name === "AbortError") return false;
+  if (error instanceof ApiError) {
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+  return true;
+};
+
+const isAbsoluteUrl = (url) => /^[a-z][a-z\d+.-]*:/i.test(url);
+
+const joinUrl = (baseUrl, path) => {
+  if (isAbsoluteUrl(path)) return path;
+  return `${baseUrl.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
+};
+
+const matches = (pattern, value) =>
+  pattern instanceof RegExp ? pattern.test(value) : pattern === value;
+
+// Error responses are expected to be JSON with a `message`, but may not be
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+};
+
+// Send `body` with XHR rather than fetch, which cannot report upload
+// progress. `onProgress` receives { loaded, total } in bytes, aborting
+// `signal` cancels the request.
+const sendWithProgress = (
+  url,
+  body,
+  { method = "POST", headers = {}, total, onProgress, signal } = {}
+) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Upload aborted", "AbortError"));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) =>
+      xhr.setRequestHeader(name, value)
+    );
+
+    xhr.upload.onprogress = (event) => {
+      if (onProgress) {
+        onProgress({
+          loaded: event.loaded,
+          total: event.lengthComputable ? event.total : total,
+        });
+      }
+    };
+
+    xhr.onload = () => {
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Non-JSON response body
+      }
+
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        reject(
+          new ApiError(
+            data?.message || `Request failed with status ${xhr.status}`,
+            { status: xhr.status, data }
+          )
+        );
+      }
+    };
+
+    xhr.onerror = () => reject(new TypeError("Network request failed"));
+    xhr.onabort = () =>
+      reject(new DOMException("Upload aborted", "AbortError"));
+
+    // The signal may outlive the request, e.g. across the chunks and retries
+    // of one upload
+    const onAbort = () => xhr.abort();
+    xhr.onloadend = () => signal?.removeEventListener("abort", onAbort);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    xhr.send(body);
+  });
+
+export const createApiClient = ({
+  baseUrl = DEFAULT_API_BASE_URL,
+  endpoints,
+  mediaUrlRules = getEnvMediaUrlRules(),
+} = {}) => {
+  const paths = { ...DEFAULT_ENDPOINTS, ...endpoints };
+
+  const getUrl = (endpoint, query, params = {}) => {
+    const path = paths[endpoint].replace(/:([a-z]\w*)/gi, (segment, name) =>
+      name in params ? encodeURIComponent(params[name]) : segment
+    );
+    const url = joinUrl(baseUrl, path);
+    if (!query) return url;
+    return `${url}${url.includes("?") ? "&" : "?"}${new URLSearchParams(
+      query
+    )}`;
+  };
+
+  // Network failures reject with the TypeError thrown by fetch, HTTP errors
+  // with an ApiError
+  const request = async (endpoint, options, query, params) => {
+    const response = await fetch(getUrl(endpoint, query, params), options);
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      throw new ApiError(
+        data?.message || `Request failed with status ${response.status}`,
+        { status: response.status, data }
+      );
+    }
+
+    return data;
+  };
+
+  const sendJson = (endpoint, body, { method = "POST", signal, params } = {}) =>
+    request(
+      endpoint,
+      {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal,
+      },
+      null,
+      params
+    );
+
+  // Fetch a page of recordings, see utils/recordingsQuery.js for the query
+  // parameters. Older backends ignore them and return every recording.
+  const fetchRecordings = (query, { signal } = {}) =>
+    request("recordings", { signal }, query);
+
+  // Change metadata of a recording: originalFilename, title, description and
+  // tags (array of strings). Resolves with the updated recording.
+  const updateRecording = (id, changes, { signal } = {}) =>
+    sendJson("recording", changes, { method: "PATCH", signal, params: { id } });
+
+  // `keepalive` lets the request outlive the page, e.g. when it is closed
+  const deleteRecording = (id, { signal, keepalive } = {}) =>
+    request("recording", { method: "DELETE", signal, keepalive }, null, {
+      id,
+    });
+
+  // Upload restrictions advertised by the server: { maxSizeBytes }. Resolves
+  // with null when the backend does not provide them.
+  const fetchUploadLimits = async (options) => {
+    try {
+      return await request("uploadLimits", options);
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 404) return null;
+      throw error;
+    }
+  };
+
+  // Upload a finished recording as multipart form data
+  const uploadRecording = (blob, filename, { onProgress, signal } = {}) => {
+    const formData = new FormData();
+    formData.append("audio", blob, filename);
+    return sendWithProgress(getUrl("upload"), formData, {
+      total: blob.size,
+      onProgress,
+      signal,
+    });
+  };
+
+  // Chunked upload protocol (see api/chunkedUpload.js):
+  // init -> { uploadId, offset }, status -> { offset, size },
+  // chunk -> { offset }, complete -> the created recording
+  const initChunkedUpload = ({ filename, size, mimeType }, options) =>
+    sendJson("uploadInit", { filename, size, mimeType }, options);
+
+  const getChunkedUploadStatus = (uploadId, { signal } = {}) =>
+    request("uploadStatus", { signal }, { uploadId });
+
+  const uploadChunk = (uploadId, offset, chunk, { onProgress, signal } = {}) =>
+    sendWithProgress(getUrl("uploadChunk"), chunk, {
+      headers: {
+        "Content-Type": "application/octet-stream",
+        "Upload-Id": uploadId,
+        "Upload-Offset": String(offset),
+      },
+      total: chunk.size,
+      onProgress,
+      signal,
+    });
+
+  const completeChunkedUpload = (uploadId, options) =>
+    sendJson("uploadComplete", { uploadId }, options);
+
+  // Make a media URL from the server playable from this page
+  const resolveMediaUrl = (url) => {
+    if (!url) return null;
+
+    let resolved = isAbsoluteUrl(url)
+      ? url
+      : new URL(url, new URL(baseUrl, window.location.href)).href;
+
+    for (const rule of mediaUrlRules) {
+      if (rule.hostname && !matches(rule.hostname, window.location.hostname)) {
+        continue;
+      }
+      resolved = resolved.replace(rule.from, rule.to);
+    }
+
+    return resolved;
+  };
+
+  return {
+    getUrl,
+    fetchRecordings,
+    updateRecording,
+    deleteRecording,
+    fetchUploadLimits,
+    uploadRecording,
+    initChunkedUpload,
+    getChunkedUploadStatus,
+    uploadChunk,
+    completeChunkedUpload,
+    resolveMediaUrl,
+  };
+};
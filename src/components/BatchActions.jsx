@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { smallButtonStyle } from "./styles";
+import { parseTags } from "../utils/recordingMetadata";
+
+// Toolbar for the selected recordings: select all, delete, download one by
+// one or as a ZIP, and adding or removing tags. `busy` is a progress
+// message while a batch runs.
+const BatchActions = ({
+  selectedCount,
+  itemCount,
+  busy,
+  onSelectAll,
+  onDelete,
+  onDownload,
+  onDownloadZip,
+  onRetag,
+}) => {
+  const [tagsText, setTagsText] = useState("");
+  const tags = parseTags(tagsText);
+  const isAllSelected = itemCount > 0 && selectedCount === itemCount;
+  const disabled = selectedCount === 0 || !!busy;
+
+  const retag = (changes) => {
+    onRetag(changes);
+    setTagsText("");
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "4px",
+        marginBottom: "10px",
+        fontSize: "12px",
+        color: "#555",
+      }}
+    >
+      <label
+        style={{ display: "flex", alignItems: "center", marginRight: "6px" }}
+      >
+        <input
+          type="checkbox"
+          checked={isAllSelected}
+          ref={(input) => {
+            if (input) {
+              input.indeterminate = selectedCount > 0 && !isAllSelected;
+            }
+          }}
+          onChange={(e) => onSelectAll(e.target.checked)}
+          disabled={itemCount === 0}
+          style={{ marginRight: "6px" }}
+        />
+        {selectedCount > 0 ? `${selectedCount} selected` : "Select all"}
+      </label>
+
+      {busy ? (
+        <span>{busy}</span>
+      ) : (
+        <>
+          <button
+            style={{ ...smallButtonStyle, backgroundColor: "#ff4444" }}
+            onClick={onDelete}
+            disabled={disabled}
+          >
+            🗑 Delete
+          </button>
+          <button
+            style={{ ...smallButtonStyle, backgroundColor: "#2196F3" }}
+            onClick={onDownload}
+            disabled={disabled}
+          >
+            ⬇ Download
+          </button>
+          <button
+            style={{ ...smallButtonStyle, backgroundColor: "#2196F3" }}
+            onClick={onDownloadZip}
+            disabled={disabled}
+          >
+            🗜 Download ZIP
+          </button>
+          <input
+            value={tagsText}
+            onChange={(e) => setTagsText(e.target.value)}
+            placeholder="tag, another tag"
+            aria-label="Tags to add or remove"
+            disabled={disabled}
+            style={{
+              padding: "3px 6px",
+              borderRadius: "4px",
+              border: "1px solid #ccc",
+              fontSize: "12px",
+              width: "120px",
+            }}
+          />
+          <button
+            style={{ ...smallButtonStyle, backgroundColor: "#4CAF50" }}
+            onClick={() => retag({ add: tags })}
+            disabled={disabled || tags.length === 0}
+          >
+            + Tags
+          </button>
+          <button
+            style={{ ...smallButtonStyle, backgroundColor: "#ff9800" }}
+            onClick={() => retag({ remove: tags })}
+            disabled={disabled || tags.length === 0}
+          >
+            − Tags
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchActions;
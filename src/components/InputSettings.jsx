@@ -0,0 +1,90 @@
+import React, { useId } from "react";
+
+const PROCESSING_OPTIONS = [
+  { key: "echoCancellation", label: "Echo cancellation" },
+  { key: "noiseSuppression", label: "Noise suppression" },
+  { key: "autoGainControl", label: "Auto gain" },
+];
+
+const labelStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: "4px",
+  marginRight: "12px",
+  cursor: "pointer",
+};
+
+// Microphone picker and processing toggles, applied from the next take on
+const InputSettings = ({ settings, devices, disabled, onChange }) => {
+  const channelGroup = useId();
+  const hasSelectedDevice = devices.some(
+    (device) => device.deviceId === settings.deviceId
+  );
+
+  return (
+    <details
+      style={{
+        margin: "0 auto 10px",
+        maxWidth: "400px",
+        fontSize: "14px",
+        color: "#555",
+        textAlign: "left",
+      }}
+    >
+      <summary style={{ cursor: "pointer", fontWeight: "bold" }}>
+        Microphone settings
+      </summary>
+
+      <div style={{ marginTop: "8px" }}>
+        <select
+          value={hasSelectedDevice ? settings.deviceId : ""}
+          onChange={(e) => onChange({ deviceId: e.target.value })}
+          disabled={disabled}
+          style={{ width: "100%", padding: "4px" }}
+          aria-label="Input device"
+        >
+          <option value="">Default microphone</option>
+          {devices.map((device, index) => (
+            <option key={device.deviceId} value={device.deviceId}>
+              {device.label || `Microphone ${index + 1}`}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ marginTop: "8px" }}>
+        {PROCESSING_OPTIONS.map(({ key, label }) => (
+          <label key={key} style={labelStyle}>
+            <input
+              type="checkbox"
+              checked={settings[key]}
+              onChange={(e) => onChange({ [key]: e.target.checked })}
+              disabled={disabled}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ marginTop: "8px" }}>
+        {[
+          { value: 1, label: "Mono" },
+          { value: 2, label: "Stereo" },
+        ].map(({ value, label }) => (
+          <label key={value} style={labelStyle}>
+            <input
+              type="radio"
+              name={channelGroup}
+              checked={settings.channelCount === value}
+              onChange={() => onChange({ channelCount: value })}
+              disabled={disabled}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default InputSettings;
@@ -0,0 +1,139 @@
+import React, { useState, useRef, useEffect } from "react";
+import useAudioAnalyser from "../hooks/useAudioAnalyser";
+import { getLevels, toDecibels } from "../utils/audioAnalysis";
+
+const CLIP_THRESHOLD = 0.99;
+const CLIP_HOLD_MS = 1500;
+const SILENCE_DB = -50;
+const SILENCE_AFTER_MS = 3000;
+const METER_FLOOR_DB = -60;
+const METER_HEIGHT = 10;
+
+const WARNINGS = {
+  clipping: {
+    text: "Input is clipping, move away from the microphone or lower its gain.",
+    color: "#ff4444",
+  },
+  silence: {
+    text: "Silence detected, check that the right microphone is selected and unmuted.",
+    color: "#ff9800",
+  },
+};
+
+// Live input level meter and scrolling waveform for the microphone stream,
+// warning about clipping and prolonged silence
+const LevelMeter = ({ stream, paused = false }) => {
+  const analyser = useAudioAnalyser(stream);
+  const canvasRef = useRef(null);
+  const pausedRef = useRef(paused);
+  const [warning, setWarning] = useState("");
+
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  useEffect(() => {
+    if (!analyser || !canvasRef.current) return undefined;
+
+    const canvas = canvasRef.current;
+    const context = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const waveHeight = height - METER_HEIGHT - 4;
+    const samples = new Float32Array(analyser.fftSize);
+    const history = new Array(width).fill(0);
+
+    let frame;
+    let lastClipAt = -Infinity;
+    let lastSoundAt = performance.now();
+    let currentWarning = "";
+
+    const draw = (now) => {
+      const { rms, peak } = getLevels(analyser, samples);
+      const level = toDecibels(rms);
+
+      history.push(pausedRef.current ? 0 : peak);
+      history.shift();
+
+      if (peak >= CLIP_THRESHOLD) lastClipAt = now;
+      if (level > SILENCE_DB || pausedRef.current) lastSoundAt = now;
+
+      let nextWarning = "";
+      if (now - lastClipAt < CLIP_HOLD_MS) nextWarning = "clipping";
+      else if (now - lastSoundAt > SILENCE_AFTER_MS) nextWarning = "silence";
+      if (nextWarning !== currentWarning) {
+        currentWarning = nextWarning;
+        setWarning(nextWarning);
+      }
+
+      context.clearRect(0, 0, width, height);
+
+      // Scrolling waveform of the peak per frame, newest on the right
+      context.fillStyle = pausedRef.current ? "#ccc" : "#2196F3";
+      history.forEach((value, x) => {
+        const barHeight = Math.max(1, value * waveHeight);
+        context.fillRect(x, (waveHeight - barHeight) / 2, 1, barHeight);
+      });
+
+      // Level meter from METER_FLOOR_DB to 0 dBFS
+      const meterLevel = Math.min(
+        1,
+        Math.max(0, (level - METER_FLOOR_DB) / -METER_FLOOR_DB)
+      );
+      context.fillStyle = "#eee";
+      context.fillRect(0, height - METER_HEIGHT, width, METER_HEIGHT);
+      context.fillStyle =
+        peak >= CLIP_THRESHOLD
+          ? "#ff4444"
+          : meterLevel > 0.8
+            ? "#ff9800"
+            : "#4CAF50";
+      context.fillRect(
+        0,
+        height - METER_HEIGHT,
+        meterLevel * width,
+        METER_HEIGHT
+      );
+
+      frame = requestAnimationFrame(draw);
+    };
+
+    frame = requestAnimationFrame(draw);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      setWarning("");
+    };
+  }, [analyser]);
+
+  if (!stream) return null;
+
+  return (
+    <div style={{ margin: "0 auto 10px", maxWidth: "400px" }}>
+      <canvas
+        ref={canvasRef}
+        width={400}
+        height={70}
+        style={{
+          width: "100%",
+          height: "70px",
+          border: "1px solid #eee",
+          borderRadius: "5px",
+          backgroundColor: "#fcfcfc",
+        }}
+      />
+      {warning && (
+        <div
+          style={{
+            fontSize: "12px",
+            color: WARNINGS[warning].color,
+            marginTop: "4px",
+          }}
+        >
+          {WARNINGS[warning].text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LevelMeter;
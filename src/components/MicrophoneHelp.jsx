@@ -0,0 +1,45 @@
+import React from "react";
+import { MIC_ISSUES } from "../utils/microphoneAccess";
+
+// Explains why the microphone cannot be used and what to do about it
+const MicrophoneHelp = ({ issue, onDismiss }) => {
+  const details = issue && MIC_ISSUES[issue];
+  if (!details) return null;
+
+  return (
+    <div
+      role="alert"
+      style={{
+        color: "#8a6d3b",
+        backgroundColor: "#fffbe6",
+        padding: "10px",
+        borderRadius: "5px",
+        marginBottom: "20px",
+        border: "1px solid #ffe58f",
+        fontSize: "14px",
+      }}
+    >
+      <strong>{details.title}</strong>
+      <div style={{ marginTop: "4px" }}>{details.guidance}</div>
+      {onDismiss && (
+        <button
+          onClick={onDismiss}
+          style={{
+            marginTop: "6px",
+            padding: 0,
+            border: "none",
+            background: "none",
+            color: "#8a6d3b",
+            textDecoration: "underline",
+            cursor: "pointer",
+            fontSize: "13px",
+          }}
+        >
+          Dismiss
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MicrophoneHelp;
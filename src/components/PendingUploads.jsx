@@ -0,0 +1,115 @@
+import React from "react";
+import { formatFileSize } from "../utils/format";
+import { panelStyle, smallButtonStyle } from "./styles";
+import UploadProgress from "./UploadProgress";
+
+const getStatusText = (item) => {
+  if (item.status === "draft") return "Not submitted";
+  if (item.status === "failed") return `Upload rejected: ${item.lastError}`;
+  if (item.lastError) return `Waiting to sync (last error: ${item.lastError})`;
+  return "Waiting to sync";
+};
+
+// Recordings stored in the outbox that have not reached the server yet.
+// `uploader` uploads the item with `submittingId`, `syncUploader` the one with
+// `syncingId` (see hooks/useOutbox.js).
+const PendingUploads = ({
+  items,
+  submittingId,
+  syncingId,
+  uploader,
+  syncUploader,
+  disabled,
+  onSubmit,
+  onDiscard,
+}) => {
+  if (items.length === 0) return null;
+
+  return (
+    <div style={{ ...panelStyle, marginTop: "30px" }}>
+      <h3 style={{ textAlign: "center", marginBottom: "15px", color: "#333" }}>
+        Pending Uploads
+      </h3>
+
+      {items.map((item) => {
+        const itemUploader =
+          item.id === submittingId
+            ? uploader
+            : item.id === syncingId
+              ? syncUploader
+              : null;
+        const isSyncing = !!itemUploader;
+
+        return (
+          <div
+            key={item.id}
+            style={{
+              padding: "10px",
+              margin: "5px",
+              backgroundColor: isSyncing ? "#e6f3ff" : "#fffbe6",
+              border: `1px solid ${isSyncing ? "#a0d9ff" : "#ffe58f"}`,
+              borderRadius: "5px",
+              boxShadow: "0 1px 3px rgba(0,0,0,0.05)",
+            }}
+          >
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+              }}
+            >
+              <div style={{ flex: 1 }}>
+                <div
+                  style={{
+                    fontSize: "14px",
+                    fontWeight: "bold",
+                    color: "#333",
+                  }}
+                >
+                  {item.filename}
+                </div>
+                <div
+                  style={{ fontSize: "12px", color: "#666", marginTop: "2px" }}
+                >
+                  {new Date(item.createdAt).toLocaleString()} |{" "}
+                  {formatFileSize(item.size)}
+                </div>
+                <div
+                  style={{ fontSize: "12px", color: "#888", marginTop: "2px" }}
+                >
+                  {isSyncing ? "Uploading..." : getStatusText(item)}
+                </div>
+              </div>
+
+              <button
+                style={{ ...smallButtonStyle, backgroundColor: "#007bff" }}
+                onClick={() => onSubmit(item)}
+                disabled={disabled || isSyncing}
+              >
+                {item.status === "draft" ? "Submit" : "Retry now"}
+              </button>
+              <button
+                style={{ ...smallButtonStyle, backgroundColor: "#ff4444" }}
+                onClick={() => onDiscard(item)}
+                disabled={isSyncing}
+              >
+                Discard
+              </button>
+            </div>
+
+            {isSyncing && (
+              <UploadProgress
+                progress={itemUploader.progress}
+                retryInfo={itemUploader.retryInfo}
+                onCancel={itemUploader.cancel}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default PendingUploads;
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_LOUDNESS_TARGET,
+  LOUDNESS_TARGETS,
+  TRIM_SILENCE_MAX_SECONDS,
+} from "../utils/audioProcessing";
+
+const labelStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "4px",
+  marginTop: "6px",
+  cursor: "pointer",
+};
+
+// Silence trimming and loudness normalization applied to the next take.
+// A loudnessTarget of null turns normalization off.
+const ProcessingOptions = ({
+  trimSilence,
+  loudnessTarget,
+  disabled,
+  onChange,
+}) => {
+  // Remembered while normalization is switched off
+  const [target, setTarget] = useState(
+    loudnessTarget ?? DEFAULT_LOUDNESS_TARGET
+  );
+  const isNormalizing = typeof loudnessTarget === "number";
+  const targets = LOUDNESS_TARGETS.some(({ value }) => value === target)
+    ? LOUDNESS_TARGETS
+    : [...LOUDNESS_TARGETS, { value: target, label: `${target} LUFS` }];
+
+  const changeTarget = (value) => {
+    setTarget(value);
+    if (isNormalizing) onChange({ loudnessTarget: value });
+  };
+
+  return (
+    <details
+      style={{
+        margin: "0 auto 10px",
+        maxWidth: "400px",
+        fontSize: "14px",
+        color: "#555",
+        textAlign: "left",
+      }}
+    >
+      <summary style={{ cursor: "pointer", fontWeight: "bold" }}>
+        Post-processing
+      </summary>
+
+      <label style={labelStyle}>
+        <input
+          type="checkbox"
+          checked={trimSilence}
+          onChange={(e) => onChange({ trimSilence: e.target.checked })}
+          disabled={disabled}
+        />
+        Trim silence at the start and end (takes up to{" "}
+        {TRIM_SILENCE_MAX_SECONDS / 60} minutes)
+      </label>
+
+      <label style={labelStyle}>
+        <input
+          type="checkbox"
+          checked={isNormalizing}
+          onChange={(e) =>
+            onChange({ loudnessTarget: e.target.checked ? target : null })
+          }
+          disabled={disabled}
+        />
+        Normalize loudness to
+      </label>
+      <select
+        value={target}
+        onChange={(e) => changeTarget(Number(e.target.value))}
+        disabled={disabled}
+        style={{ marginLeft: "22px", padding: "2px 4px" }}
+        aria-label="Loudness target"
+      >
+        {targets.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </details>
+  );
+};
+
+export default ProcessingOptions;
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { smallButtonStyle } from "./styles";
+import {
+  formatTags,
+  getMetadataChanges,
+  parseTags,
+} from "../utils/recordingMetadata";
+
+const fieldStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "4px 6px",
+  borderRadius: "4px",
+  border: "1px solid #ccc",
+  fontSize: "12px",
+  fontFamily: "inherit",
+};
+
+const labelStyle = {
+  display: "block",
+  marginBottom: "6px",
+  fontSize: "12px",
+  color: "#555",
+  fontWeight: "bold",
+};
+
+// Inline form for the file name, title, description and tags of a saved
+// recording. `onSave` receives only the changed fields.
+const RecordingEditor = ({ recording, onSave, onCancel }) => {
+  const [values, setValues] = useState({
+    originalFilename: recording.originalFilename || recording.filename || "",
+    title: recording.title || "",
+    description: recording.description || "",
+    tags: formatTags(recording.tags),
+  });
+
+  const update = (field) => (e) =>
+    setValues((prev) => ({ ...prev, [field]: e.target.value }));
+
+  // `required` accepts a name made of spaces, which the server rejects
+  const isNameBlank = values.originalFilename.trim() === "";
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isNameBlank) return;
+    const changes = getMetadataChanges(recording, {
+      originalFilename: values.originalFilename.trim(),
+      title: values.title.trim(),
+      description: values.description.trim(),
+      tags: parseTags(values.tags),
+    });
+    if (Object.keys(changes).length > 0) onSave(changes);
+    else onCancel();
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      style={{
+        marginBottom: "8px",
+        padding: "8px",
+        backgroundColor: "#f7f7f7",
+        borderRadius: "5px",
+        textAlign: "left",
+      }}
+    >
+      <label style={labelStyle}>
+        File name
+        <input
+          value={values.originalFilename}
+          onChange={update("originalFilename")}
+          required
+          aria-invalid={isNameBlank}
+          style={fieldStyle}
+        />
+        {isNameBlank && (
+          <span style={{ fontWeight: "normal", color: "#ff4444" }}>
+            The file name cannot be empty.
+          </span>
+        )}
+      </label>
+      <label style={labelStyle}>
+        Title
+        <input
+          value={values.title}
+          onChange={update("title")}
+          style={fieldStyle}
+        />
+      </label>
+      <label style={labelStyle}>
+        Description
+        <textarea
+          value={values.description}
+          onChange={update("description")}
+          rows={2}
+          style={fieldStyle}
+        />
+      </label>
+      <label style={labelStyle}>
+        Tags (comma separated)
+        <input
+          value={values.tags}
+          onChange={update("tags")}
+          style={fieldStyle}
+        />
+      </label>
+      <div style={{ textAlign: "right" }}>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{ ...smallButtonStyle, backgroundColor: "#999" }}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isNameBlank}
+          style={{ ...smallButtonStyle, backgroundColor: "#4CAF50" }}
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RecordingEditor;
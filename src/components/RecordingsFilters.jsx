@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from "react";
+import {
+  DEFAULT_RECORDINGS_FILTERS,
+  SORT_OPTIONS,
+} from "../utils/recordingsQuery";
+
+// Delay before a search term is applied, so typing does not fire a request
+// per key stroke
+const SEARCH_DEBOUNCE_MS = 300;
+
+const inputStyle = {
+  padding: "3px 6px",
+  borderRadius: "4px",
+  border: "1px solid #ccc",
+  fontSize: "12px",
+  backgroundColor: "white",
+};
+
+const labelStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "4px",
+};
+
+// Search box, sort order and upload date range of the recordings list
+const RecordingsFilters = ({ filters, onChange }) => {
+  const [search, setSearch] = useState(filters.search);
+
+  useEffect(() => {
+    if (search === filters.search) return undefined;
+    const timeout = setTimeout(
+      () => onChange({ ...filters, search }),
+      SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timeout);
+  }, [search, filters, onChange]);
+
+  const update = (changes) => onChange({ ...filters, search, ...changes });
+
+  const reset = () => {
+    setSearch(DEFAULT_RECORDINGS_FILTERS.search);
+    onChange(DEFAULT_RECORDINGS_FILTERS);
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "10px",
+        marginBottom: "10px",
+        fontSize: "12px",
+        color: "#555",
+      }}
+    >
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search by file name"
+        aria-label="Search recordings"
+        style={{ ...inputStyle, flex: "1 1 150px" }}
+      />
+      <label style={labelStyle}>
+        Sort:
+        <select
+          value={filters.sort}
+          onChange={(e) => update({ sort: e.target.value })}
+          style={inputStyle}
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        From:
+        <input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => update({ from: e.target.value })}
+          style={inputStyle}
+        />
+      </label>
+      <label style={labelStyle}>
+        To:
+        <input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => update({ to: e.target.value })}
+          style={inputStyle}
+        />
+      </label>
+      <button
+        onClick={reset}
+        style={{
+          padding: 0,
+          border: "none",
+          background: "none",
+          color: "#2196F3",
+          textDecoration: "underline",
+          cursor: "pointer",
+          fontSize: "12px",
+        }}
+      >
+        Clear
+      </button>
+    </div>
+  );
+};
+
+export default RecordingsFilters;
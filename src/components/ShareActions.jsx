@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useRef } from "react";
+import { smallButtonStyle } from "./styles";
+import { downloadBlob } from "../utils/download";
+
+// How long "Copied" is shown after copying a link
+const COPIED_FEEDBACK_MS = 2000;
+
+const buttonStyle = {
+  ...smallButtonStyle,
+  margin: "0 0 0 4px",
+  padding: "3px 8px",
+  fontSize: "12px",
+  backgroundColor: "#607d8b",
+};
+
+// Download, Copy link and Share buttons for a recording. `getFile` returns
+// (or resolves with) the File to save or share, it is called once per
+// `fileKey`. `link` is a URL others can open, if there is one.
+const ShareActions = ({ fileKey, getFile, link, title, disabled, onError }) => {
+  const [isBusy, setIsBusy] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    if (!isCopied) return undefined;
+    const timeout = setTimeout(() => setIsCopied(false), COPIED_FEEDBACK_MS);
+    return () => clearTimeout(timeout);
+  }, [isCopied]);
+
+  const loadFile = async () => {
+    if (fileRef.current?.key !== fileKey) {
+      fileRef.current = { key: fileKey, file: await getFile() };
+    }
+    return fileRef.current.file;
+  };
+
+  const run = async (action, failure) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      // Closing the share sheet rejects with an AbortError
+      if (err.name === "AbortError") return;
+      console.error(`${failure}:`, err);
+      onError(`${failure}: ${err.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const download = () =>
+    run(async () => {
+      const file = await loadFile();
+      downloadBlob(file, file.name);
+    }, "Download failed");
+
+  const copyLink = () =>
+    run(async () => {
+      if (navigator.clipboard) {
+        await navigator.clipboard.writeText(link);
+      } else {
+        // Clipboard API is only available in secure contexts
+        window.prompt("Copy this link:", link);
+      }
+      setIsCopied(true);
+    }, "Failed to copy link");
+
+  // Share the file where the browser supports it, the link otherwise
+  const share = () =>
+    run(async () => {
+      const wasLoaded = fileRef.current?.key === fileKey;
+      const file = await loadFile();
+      try {
+        if (navigator.canShare?.({ files: [file] })) {
+          await navigator.share({ files: [file], title });
+        } else if (link) {
+          await navigator.share({ url: link, title });
+        } else {
+          throw new Error("This browser cannot share audio files");
+        }
+      } catch (err) {
+        // Browsers only allow sharing shortly after the click, which a slow
+        // download can exceed. The file is cached for the next attempt.
+        if (err.name === "NotAllowedError" && !wasLoaded) {
+          throw new Error("the file is ready now, please press Share again");
+        }
+        throw err;
+      }
+    }, "Sharing failed");
+
+  return (
+    <span style={{ whiteSpace: "nowrap" }}>
+      <button
+        style={buttonStyle}
+        onClick={download}
+        disabled={disabled || isBusy}
+      >
+        ⬇ Download
+      </button>
+      {link && (
+        <button style={buttonStyle} onClick={copyLink} disabled={disabled}>
+          {isCopied ? "✓ Copied" : "🔗 Copy link"}
+        </button>
+      )}
+      {navigator.share && (
+        <button
+          style={buttonStyle}
+          onClick={share}
+          disabled={disabled || isBusy}
+        >
+          📤 Share
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default ShareActions;
@@ -0,0 +1,100 @@
+import React, { useEffect } from "react";
+import { smallButtonStyle } from "./styles";
+import { SHORTCUT_ACTIONS, formatShortcut } from "../utils/shortcuts";
+
+const keyStyle = {
+  display: "inline-block",
+  minWidth: "20px",
+  padding: "2px 6px",
+  border: "1px solid #ccc",
+  borderBottomWidth: "2px",
+  borderRadius: "4px",
+  backgroundColor: "#f7f7f7",
+  fontFamily: "monospace",
+  fontSize: "13px",
+  textAlign: "center",
+};
+
+// Overlay listing the active keyboard shortcuts, closed with Escape or a
+// click outside
+const ShortcutHelp = ({ shortcuts, isPushToTalk, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const rows = Object.entries(SHORTCUT_ACTIONS).filter(
+    ([action]) => shortcuts[action] && (action !== "pushToTalk" || isPushToTalk)
+  );
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        backgroundColor: "rgba(0,0,0,0.4)",
+        zIndex: 1000,
+      }}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: "white",
+          padding: "20px",
+          borderRadius: "10px",
+          boxShadow: "0 2px 10px rgba(0,0,0,0.3)",
+          minWidth: "300px",
+        }}
+      >
+        <h3
+          id="shortcut-help-title"
+          style={{ marginTop: 0, marginBottom: "15px", color: "#333" }}
+        >
+          Keyboard Shortcuts
+        </h3>
+        <table style={{ borderCollapse: "collapse", fontSize: "14px" }}>
+          <tbody>
+            {rows.map(([action, description]) => (
+              <tr key={action}>
+                <td style={{ padding: "4px 15px 4px 0" }}>
+                  <kbd style={keyStyle}>
+                    {formatShortcut(shortcuts[action])}
+                  </kbd>
+                </td>
+                <td style={{ padding: "4px 0", color: "#555" }}>
+                  {description}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isPushToTalk && shortcuts.pushToTalk && (
+          <div style={{ marginTop: "10px", fontSize: "12px", color: "#666" }}>
+            Enable push-to-talk to record while holding{" "}
+            <kbd style={keyStyle}>{formatShortcut(shortcuts.pushToTalk)}</kbd>.
+          </div>
+        )}
+        <div style={{ textAlign: "right", marginTop: "15px" }}>
+          <button
+            style={{ ...smallButtonStyle, backgroundColor: "#2196F3" }}
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,227 @@
+import React, { useState, useRef, useEffect } from "react";
+import Waveform from "./Waveform";
+import { smallButtonStyle } from "./styles";
+import { formatTime } from "../utils/format";
+
+const MIN_SELECTION_SECONDS = 0.1;
+const KEYBOARD_STEP_SECONDS = 0.1;
+
+const formatPosition = (seconds) =>
+  `${formatTime(Math.floor(seconds))}.${Math.floor((seconds % 1) * 10)}`;
+
+const handleStyle = {
+  position: "absolute",
+  top: 0,
+  bottom: 0,
+  width: "10px",
+  marginLeft: "-5px",
+  backgroundColor: "#ff9800",
+  borderRadius: "3px",
+  cursor: "ew-resize",
+  touchAction: "none",
+};
+
+const shadeStyle = {
+  position: "absolute",
+  top: 0,
+  bottom: 0,
+  backgroundColor: "rgba(0, 0, 0, 0.25)",
+  pointerEvents: "none",
+};
+
+// Select the part of the local take to keep by dragging the start and end
+// handles over its waveform. The selection can be previewed with `player`
+// (see useAudioPlayer) before onApply(start, end) is called.
+const TrimEditor = ({
+  waveform,
+  duration,
+  src,
+  player,
+  disabled,
+  onApply,
+  onCancel,
+}) => {
+  const [selection, setSelection] = useState({ start: 0, end: duration });
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const containerRef = useRef(null);
+  const { isPlaying, getCurrentTime, pause } = player;
+  const isLoaded = player.src === src;
+
+  // The duration is only known once the take has been decoded
+  useEffect(() => {
+    setSelection({ start: 0, end: duration });
+  }, [duration]);
+
+  // Stop the preview at the end of the selection
+  useEffect(() => {
+    if (!isPreviewing) return undefined;
+    if (!isPlaying) {
+      setIsPreviewing(false);
+      return undefined;
+    }
+
+    let frame;
+    const check = () => {
+      if (getCurrentTime() >= selection.end) {
+        pause();
+        setIsPreviewing(false);
+        return;
+      }
+      frame = requestAnimationFrame(check);
+    };
+    check();
+
+    return () => cancelAnimationFrame(frame);
+  }, [isPreviewing, isPlaying, selection.end, getCurrentTime, pause]);
+
+  const moveHandle = (handle, time) => {
+    setSelection((prev) =>
+      handle === "start"
+        ? {
+            ...prev,
+            start: Math.min(
+              Math.max(0, time),
+              prev.end - MIN_SELECTION_SECONDS
+            ),
+          }
+        : {
+            ...prev,
+            end: Math.max(
+              Math.min(duration, time),
+              prev.start + MIN_SELECTION_SECONDS
+            ),
+          }
+    );
+  };
+
+  const handlePointerDown = (event) => {
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (handle) => (event) => {
+    if (!event.buttons || !containerRef.current) return;
+    const rect = containerRef.current.getBoundingClientRect();
+    moveHandle(handle, ((event.clientX - rect.left) / rect.width) * duration);
+  };
+
+  const handleKeyDown = (handle) => (event) => {
+    const step =
+      event.key === "ArrowLeft"
+        ? -KEYBOARD_STEP_SECONDS
+        : event.key === "ArrowRight"
+          ? KEYBOARD_STEP_SECONDS
+          : 0;
+    if (!step) return;
+    event.preventDefault();
+    moveHandle(handle, selection[handle] + step);
+  };
+
+  const preview = () => {
+    player.load(src);
+    player.seek(selection.start);
+    player
+      .play(src)
+      .then(() => setIsPreviewing(true))
+      .catch((err) => console.error("Failed to preview selection:", err));
+  };
+
+  const stopPreview = () => {
+    pause();
+    setIsPreviewing(false);
+  };
+
+  const seek = (time) => {
+    player.load(src);
+    player.seek(time);
+  };
+
+  const percent = (time) => `${duration ? (time / duration) * 100 : 0}%`;
+  const selectionLength = selection.end - selection.start;
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <div ref={containerRef} style={{ position: "relative" }}>
+        <Waveform
+          peaks={waveform.peaks}
+          duration={duration}
+          currentTime={isLoaded ? player.currentTime : 0}
+          isPlaying={isLoaded && isPlaying}
+          getCurrentTime={getCurrentTime}
+          onSeek={seek}
+          isLoading={waveform.isLoading}
+          error={waveform.error}
+        />
+        {waveform.peaks && duration > 0 && (
+          <>
+            <div
+              style={{
+                ...shadeStyle,
+                left: 0,
+                width: percent(selection.start),
+              }}
+            />
+            <div
+              style={{
+                ...shadeStyle,
+                left: percent(selection.end),
+                right: 0,
+              }}
+            />
+            {["start", "end"].map((handle) => (
+              <div
+                key={handle}
+                role="slider"
+                tabIndex={0}
+                aria-label={`Trim ${handle}`}
+                aria-valuemin={0}
+                aria-valuemax={Math.floor(duration)}
+                aria-valuenow={Math.floor(selection[handle])}
+                aria-valuetext={formatPosition(selection[handle])}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove(handle)}
+                onKeyDown={handleKeyDown(handle)}
+                style={{ ...handleStyle, left: percent(selection[handle]) }}
+              />
+            ))}
+          </>
+        )}
+      </div>
+
+      <div style={{ fontSize: "12px", color: "#666", marginTop: "4px" }}>
+        Keep {formatPosition(selection.start)} – {formatPosition(selection.end)}{" "}
+        ({formatPosition(selectionLength)})
+      </div>
+
+      <div style={{ marginTop: "6px" }}>
+        <button
+          style={{ ...smallButtonStyle, backgroundColor: "#2196F3" }}
+          onClick={isPreviewing ? stopPreview : preview}
+          disabled={disabled || !duration}
+        >
+          {isPreviewing ? "⏸ Stop Preview" : "▶ Preview Selection"}
+        </button>
+        <button
+          style={{ ...smallButtonStyle, backgroundColor: "#ff9800" }}
+          onClick={() => onApply(selection.start, selection.end)}
+          disabled={
+            disabled ||
+            !duration ||
+            (selection.start === 0 && selection.end >= duration)
+          }
+        >
+          ✂ Apply Trim
+        </button>
+        <button
+          style={{ ...smallButtonStyle, backgroundColor: "#999" }}
+          onClick={onCancel}
+          disabled={disabled}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TrimEditor;
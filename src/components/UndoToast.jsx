@@ -0,0 +1,55 @@
+import React from "react";
+import { smallButtonStyle } from "./styles";
+
+// Notices pinned to the bottom of the page for actions that can still be
+// undone, e.g. deleted recordings. `items` are { key, message }.
+const UndoToast = ({ items, onUndo }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: "fixed",
+        bottom: "20px",
+        left: "50%",
+        transform: "translateX(-50%)",
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px",
+        zIndex: 900,
+      }}
+    >
+      {items.map((item) => (
+        <div
+          key={item.key}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "10px",
+            padding: "8px 12px",
+            borderRadius: "5px",
+            backgroundColor: "#333",
+            color: "white",
+            fontSize: "14px",
+            boxShadow: "0 2px 10px rgba(0,0,0,0.3)",
+          }}
+        >
+          {item.message}
+          <button
+            onClick={() => onUndo(item)}
+            style={{
+              ...smallButtonStyle,
+              margin: 0,
+              backgroundColor: "#ff9800",
+            }}
+          >
+            Undo
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default UndoToast;
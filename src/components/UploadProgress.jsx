@@ -0,0 +1,51 @@
+import React from "react";
+import { formatFileSize } from "../utils/format";
+import { smallButtonStyle } from "./styles";
+
+// Progress bar for the running upload, with retry countdown and Cancel button
+const UploadProgress = ({ progress, retryInfo, onCancel }) => {
+  const percent = progress.total
+    ? Math.round((progress.loaded / progress.total) * 100)
+    : 0;
+
+  return (
+    <div style={{ marginTop: "10px" }}>
+      <div
+        style={{
+          height: "8px",
+          backgroundColor: "#eee",
+          borderRadius: "4px",
+          overflow: "hidden",
+        }}
+      >
+        <div
+          style={{
+            width: `${percent}%`,
+            height: "100%",
+            backgroundColor: "#007bff",
+            transition: "width 0.2s ease",
+          }}
+        />
+      </div>
+      <div style={{ marginTop: "5px", fontSize: "12px", color: "#666" }}>
+        {retryInfo
+          ? `Upload failed, retrying in ${Math.ceil(
+              retryInfo.delay / 1000
+            )}s (attempt ${retryInfo.attempt} of ${retryInfo.retries})`
+          : `${formatFileSize(progress.loaded)} / ${formatFileSize(
+              progress.total
+            )} (${percent}%)`}
+      </div>
+      {onCancel && (
+        <button
+          style={{ ...smallButtonStyle, backgroundColor: "#6c757d" }}
+          onClick={onCancel}
+        >
+          Cancel Upload
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UploadProgress;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+
+// Scrolling list that only renders the items in view. Item heights may vary:
+// they are measured once rendered, `estimatedItemHeight` stands in until then.
+// `onEndReached` is called when the last items come into view.
+const VirtualList = ({
+  items,
+  getKey,
+  renderItem,
+  height = 500,
+  estimatedItemHeight = 100,
+  overscan = 4,
+  onEndReached,
+}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  // Measured heights by item key, `version` re-renders when they change
+  const heightsRef = useRef(new Map());
+  const [, setVersion] = useState(0);
+  const observerRef = useRef(null);
+
+  // Created on first use: ref callbacks run before effects, so the rows of
+  // the first render would otherwise never be observed
+  const getObserver = useCallback(() => {
+    observerRef.current ??= new ResizeObserver((entries) => {
+      let changed = false;
+      for (const entry of entries) {
+        const key = entry.target.dataset.key;
+        const measured = entry.target.offsetHeight;
+        if (heightsRef.current.get(key) !== measured) {
+          heightsRef.current.set(key, measured);
+          changed = true;
+        }
+      }
+      if (changed) setVersion((version) => version + 1);
+    });
+    return observerRef.current;
+  }, []);
+
+  useEffect(
+    () => () => {
+      observerRef.current?.disconnect();
+      observerRef.current = null;
+    },
+    []
+  );
+
+  // Callback ref of the rendered item wrappers
+  const measure = useCallback(
+    (element) => {
+      if (!element) return undefined;
+      const observer = getObserver();
+      observer.observe(element);
+      return () => observer.unobserve(element);
+    },
+    [getObserver]
+  );
+
+  const offsets = [0];
+  items.forEach((item, index) => {
+    const itemHeight =
+      heightsRef.current.get(String(getKey(item))) ?? estimatedItemHeight;
+    offsets.push(offsets[index] + itemHeight);
+  });
+  const totalHeight = offsets[items.length];
+
+  // First item whose bottom edge is below the top of the viewport
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle + 1] <= scrollTop) low = middle + 1;
+    else high = middle;
+  }
+  const start = Math.max(0, low - overscan);
+  let end = low;
+  while (end < items.length && offsets[end] < scrollTop + height) end++;
+  end = Math.min(items.length, end + overscan);
+
+  const isEndVisible = end >= items.length;
+  useEffect(() => {
+    if (isEndVisible && onEndReached) onEndReached();
+  }, [isEndVisible, items.length, onEndReached]);
+
+  return (
+    <div
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ maxHeight: `${height}px`, overflowY: "auto" }}
+    >
+      <div style={{ position: "relative", height: `${totalHeight}px` }}>
+        {items.slice(start, end).map((item, index) => {
+          const key = String(getKey(item));
+          return (
+            <div
+              key={key}
+              ref={measure}
+              data-key={key}
+              style={{
+                position: "absolute",
+                top: `${offsets[start + index]}px`,
+                left: 0,
+                right: 0,
+                // Keeps the margins of the item inside the measured height
+                display: "flow-root",
+              }}
+            >
+              {renderItem(item)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualList;
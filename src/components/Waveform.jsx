@@ -0,0 +1,144 @@
+import React, { useRef, useEffect } from "react";
+import { formatTime } from "../utils/format";
+
+const KEYBOARD_SEEK_SECONDS = 5;
+
+// Waveform with a playhead that doubles as the seek bar: click or drag to
+// seek, arrow keys jump 5 seconds. While playing, the playhead is redrawn
+// every frame from getCurrentTime() instead of the coarser currentTime.
+const Waveform = ({
+  peaks,
+  duration,
+  currentTime = 0,
+  isPlaying = false,
+  getCurrentTime,
+  onSeek,
+  isLoading = false,
+  error = null,
+  height = 60,
+}) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !peaks) return undefined;
+
+    const context = canvas.getContext("2d");
+    const { width } = canvas;
+    const middle = height / 2;
+
+    const draw = (time) => {
+      const playheadX = duration ? (time / duration) * width : 0;
+      context.clearRect(0, 0, width, height);
+
+      for (let x = 0; x < width; x++) {
+        const peak = peaks[Math.floor((x * peaks.length) / width)];
+        const barHeight = Math.max(1, peak * height);
+        context.fillStyle = x < playheadX ? "#1565C0" : "#90CAF9";
+        context.fillRect(x, middle - barHeight / 2, 1, barHeight);
+      }
+
+      context.fillStyle = "#ff4444";
+      context.fillRect(Math.min(playheadX, width - 2), 0, 2, height);
+    };
+
+    if (!isPlaying || !getCurrentTime) {
+      draw(currentTime);
+      return undefined;
+    }
+
+    let frame;
+    const loop = () => {
+      draw(getCurrentTime());
+      frame = requestAnimationFrame(loop);
+    };
+    loop();
+
+    return () => cancelAnimationFrame(frame);
+  }, [peaks, duration, currentTime, isPlaying, getCurrentTime, height]);
+
+  const seekToPointer = (event) => {
+    if (!duration || !onSeek) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = (event.clientX - rect.left) / rect.width;
+    onSeek(Math.min(1, Math.max(0, fraction)) * duration);
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    seekToPointer(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (event.buttons) seekToPointer(event);
+  };
+
+  const handleKeyDown = (event) => {
+    if (!duration || !onSeek) return;
+    const time = getCurrentTime ? getCurrentTime() : currentTime;
+    if (event.key === "ArrowLeft") {
+      event.preventDefault();
+      onSeek(Math.max(0, time - KEYBOARD_SEEK_SECONDS));
+    } else if (event.key === "ArrowRight") {
+      event.preventDefault();
+      onSeek(Math.min(duration, time + KEYBOARD_SEEK_SECONDS));
+    }
+  };
+
+  const boxStyle = {
+    height: `${height}px`,
+    border: "1px solid #eee",
+    borderRadius: "5px",
+    backgroundColor: "#fcfcfc",
+  };
+
+  if (!peaks) {
+    return (
+      <div
+        style={{
+          ...boxStyle,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          fontSize: "12px",
+          color: error ? "#ff4444" : "#999",
+        }}
+      >
+        {error
+          ? "Waveform unavailable"
+          : isLoading
+            ? "Loading waveform..."
+            : ""}
+      </div>
+    );
+  }
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={600}
+      height={height}
+      role="slider"
+      tabIndex={0}
+      aria-label="Playback position"
+      aria-valuemin={0}
+      aria-valuemax={Math.floor(duration)}
+      aria-valuenow={Math.floor(currentTime)}
+      aria-valuetext={`${formatTime(Math.floor(currentTime))} of ${formatTime(
+        Math.floor(duration)
+      )}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onKeyDown={handleKeyDown}
+      style={{
+        ...boxStyle,
+        width: "100%",
+        display: "block",
+        cursor: duration ? "pointer" : "default",
+        touchAction: "none",
+      }}
+    />
+  );
+};
+
+export default Waveform;
@@ -0,0 +1,27 @@
+// Inline styles shared by the recorder's components
+
+export const buttonStyle = {
+  padding: "12px 24px",
+  margin: "5px",
+  border: "none",
+  borderRadius: "8px",
+  fontSize: "16px",
+  fontWeight: "bold",
+  cursor: "pointer",
+  transition: "all 0.2s ease",
+};
+
+export const smallButtonStyle = {
+  ...buttonStyle,
+  padding: "5px 12px",
+  fontSize: "14px",
+  color: "white",
+};
+
+export const panelStyle = {
+  padding: "20px",
+  margin: "0 auto",
+  border: "1px solid #ccc",
+  borderRadius: "10px",
+  boxShadow: "0 2px 10px rgba(0,0,0,0.1)",
+};
@@ -0,0 +1,24 @@
+import { useState, useEffect } from "react";
+import { createLevelMonitor } from "../utils/audioAnalysis";
+
+// AnalyserNode tapping `stream`, or null while there is no stream. The audio
+// graph is torn down when the stream changes or the component unmounts.
+const useAudioAnalyser = (stream, { fftSize = 2048 } = {}) => {
+  const [analyser, setAnalyser] = useState(null);
+
+  useEffect(() => {
+    const monitor = stream && createLevelMonitor(stream, { fftSize });
+    if (!monitor) return undefined;
+
+    setAnalyser(monitor.analyser);
+
+    return () => {
+      setAnalyser(null);
+      monitor.close();
+    };
+  }, [stream, fftSize]);
+
+  return analyser;
+};
+
+export default useAudioAnalyser;
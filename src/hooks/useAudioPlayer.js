@@ -0,0 +1,131 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+
+// A single audio element shared by every playable source. Pausing keeps the
+// position; only stop() and loading another source rewind to the start.
+//
+// currentTime follows the element's timeupdate events (a few per second),
+// use getCurrentTime() for frame accurate positions such as a playhead.
+const useAudioPlayer = () => {
+  const audioRef = useRef(null);
+  const srcRef = useRef(null);
+  const [src, setSrc] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  useEffect(() => {
+    const audio = new Audio();
+    audio.crossOrigin = "anonymous";
+    audio.preload = "metadata";
+    audioRef.current = audio;
+
+    const syncTime = () => setCurrentTime(audio.currentTime);
+    const syncDuration = () =>
+      setDuration(Number.isFinite(audio.duration) ? audio.duration : 0);
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+    const handleEnded = () => {
+      setIsPlaying(false);
+      audio.currentTime = 0;
+    };
+
+    const listeners = {
+      timeupdate: syncTime,
+      seeked: syncTime,
+      durationchange: syncDuration,
+      loadedmetadata: syncDuration,
+      play: handlePlay,
+      pause: handlePause,
+      ended: handleEnded,
+    };
+    Object.entries(listeners).forEach(([type, listener]) =>
+      audio.addEventListener(type, listener)
+    );
+
+    return () => {
+      Object.entries(listeners).forEach(([type, listener]) =>
+        audio.removeEventListener(type, listener)
+      );
+      audio.pause();
+      audio.removeAttribute("src");
+      audio.load();
+      audioRef.current = null;
+    };
+  }, []);
+
+  // Make `url` the current source without starting playback
+  const load = useCallback((url) => {
+    const audio = audioRef.current;
+    if (!audio || srcRef.current === url) return;
+
+    srcRef.current = url;
+    setSrc(url);
+    setCurrentTime(0);
+    setDuration(0);
+    audio.src = url;
+    audio.load();
+  }, []);
+
+  // Resolves once playback started, rejects when the source cannot be played
+  const play = useCallback(
+    async (url) => {
+      if (url) load(url);
+      if (audioRef.current && srcRef.current) {
+        await audioRef.current.play();
+      }
+    },
+    [load]
+  );
+
+  const pause = useCallback(() => {
+    audioRef.current?.pause();
+  }, []);
+
+  const seek = useCallback((time) => {
+    const audio = audioRef.current;
+    if (!audio || !srcRef.current) return;
+    audio.currentTime = Math.max(0, time);
+    setCurrentTime(audio.currentTime);
+  }, []);
+
+  const stop = useCallback(() => {
+    pause();
+    seek(0);
+  }, [pause, seek]);
+
+  // Release the current source, e.g. once its object URL is revoked
+  const unload = useCallback(() => {
+    const audio = audioRef.current;
+    if (!audio || !srcRef.current) return;
+
+    audio.pause();
+    audio.removeAttribute("src");
+    audio.load();
+    srcRef.current = null;
+    setSrc(null);
+    setIsPlaying(false);
+    setCurrentTime(0);
+    setDuration(0);
+  }, []);
+
+  const getCurrentTime = useCallback(
+    () => audioRef.current?.currentTime ?? 0,
+    []
+  );
+
+  return {
+    src,
+    isPlaying,
+    currentTime,
+    duration,
+    load,
+    play,
+    pause,
+    seek,
+    stop,
+    unload,
+    getCurrentTime,
+  };
+};
+
+export default useAudioPlayer;
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from "react";
+
+// Available microphones, kept up to date when devices are plugged in or
+// removed. Browsers hide the labels until microphone access was granted, so
+// call refresh() once a stream has been opened.
+const useInputDevices = () => {
+  const [devices, setDevices] = useState([]);
+
+  const refresh = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    try {
+      const all = await navigator.mediaDevices.enumerateDevices();
+      setDevices(
+        all.filter((device) => device.kind === "audioinput" && device.deviceId)
+      );
+    } catch (err) {
+      console.error("Failed to list input devices:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return undefined;
+
+    refresh();
+    mediaDevices.addEventListener("devicechange", refresh);
+    return () => mediaDevices.removeEventListener("devicechange", refresh);
+  }, [refresh]);
+
+  return { devices, refresh };
+};
+
+export default useInputDevices;
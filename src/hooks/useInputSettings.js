@@ -0,0 +1,26 @@
+import { useState, useMemo, useCallback } from "react";
+import {
+  getAudioConstraints,
+  loadInputSettings,
+  saveInputSettings,
+} from "../utils/audioInput";
+
+// Input device and processing choices, persisted between sessions.
+// update() takes the changed fields only.
+const useInputSettings = () => {
+  const [settings, setSettings] = useState(loadInputSettings);
+
+  const update = useCallback((changes) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...changes };
+      saveInputSettings(next);
+      return next;
+    });
+  }, []);
+
+  const constraints = useMemo(() => getAudioConstraints(settings), [settings]);
+
+  return { settings, constraints, update };
+};
+
+export default useInputSettings;
@@ -0,0 +1,46 @@
+import { useRef, useEffect } from "react";
+import { isTextEntryTarget, matchesShortcut } from "../utils/shortcuts";
+
+// Window-wide shortcuts. `shortcuts` maps action names to shortcut strings
+// (see utils/shortcuts.js), `handlers` maps the same names to
+// { onKeyDown, onKeyUp } callbacks. Auto-repeated key presses are ignored so
+// keys can be held, e.g. for push-to-talk.
+const useKeyboardShortcuts = (shortcuts, handlers, { enabled = true } = {}) => {
+  const shortcutsRef = useRef(shortcuts);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    shortcutsRef.current = shortcuts;
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const dispatch = (type) => (event) => {
+      if (isTextEntryTarget(event.target)) return;
+
+      for (const [action, shortcut] of Object.entries(shortcutsRef.current)) {
+        const handler = handlersRef.current[action]?.[type];
+        if (!handler || !matchesShortcut(event, shortcut)) continue;
+
+        // Also keeps Space from scrolling or clicking the focused button
+        event.preventDefault();
+        if (!event.repeat) handler(event);
+        return;
+      }
+    };
+
+    const handleKeyDown = dispatch("onKeyDown");
+    const handleKeyUp = dispatch("onKeyUp");
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+    };
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
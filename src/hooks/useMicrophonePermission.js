@@ -0,0 +1,37 @@
+import { useState, useEffect } from "react";
+
+// Microphone permission from the Permissions API: "granted", "denied",
+// "prompt", or "unknown" where the browser cannot be queried. Follows changes
+// made in the browser's site settings while the page is open.
+const useMicrophonePermission = () => {
+  const [permission, setPermission] = useState("unknown");
+
+  useEffect(() => {
+    if (!navigator.permissions?.query) return undefined;
+
+    let status = null;
+    let cancelled = false;
+    const sync = () => setPermission(status.state);
+
+    navigator.permissions
+      .query({ name: "microphone" })
+      .then((result) => {
+        if (cancelled) return;
+        status = result;
+        sync();
+        status.addEventListener("change", sync);
+      })
+      .catch(() => {
+        // Not a queryable permission in this browser (e.g. older Firefox)
+      });
+
+    return () => {
+      cancelled = true;
+      status?.removeEventListener("change", sync);
+    };
+  }, []);
+
+  return permission;
+};
+
+export default useMicrophonePermission;
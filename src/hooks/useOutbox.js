@@ -0,0 +1,195 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { isRetryableError } from "../api/client";
+import {
+  createOutboxItem,
+  deleteOutboxItem,
+  getOutboxItems,
+  putOutboxItem,
+} from "../storage/outbox";
+
+// Offline outbox: finished recordings are kept in IndexedDB until their
+// upload succeeds, so closing the tab or losing the connection does not lose
+// them. Queued items (submitted at least once) are synced automatically when
+// the browser comes back online and every `syncIntervalMs`. Items the server
+// rejected for good (e.g. too large) are marked "failed" and only uploaded
+// again through submit().
+//
+// `uploader` and `syncUploader` are objects returned by useRecordingUpload,
+// the first for submit() and the second for the automatic sync, so both can
+// run at the same time. `submittingId` and `syncingId` are the items they are
+// uploading. `onUploaded(item, response)` is called after an item has been
+// uploaded and removed.
+const useOutbox = ({
+  uploader,
+  syncUploader,
+  onUploaded,
+  syncIntervalMs = 30000,
+}) => {
+  const [items, setItems] = useState([]);
+  const [isAvailable, setIsAvailable] = useState(true);
+  const [submittingId, setSubmittingId] = useState(null);
+  const [syncingId, setSyncingId] = useState(null);
+
+  const itemsRef = useRef(items);
+  const submittingIdRef = useRef(null);
+  const syncBusyRef = useRef(false);
+  const onUploadedRef = useRef(onUploaded);
+  const { upload } = uploader;
+  const { upload: syncUpload } = syncUploader;
+
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  useEffect(() => {
+    onUploadedRef.current = onUploaded;
+  }, [onUploaded]);
+
+  // Load what a previous session left behind
+  useEffect(() => {
+    getOutboxItems()
+      .then(setItems)
+      .catch((err) => {
+        console.error("Failed to open the upload outbox:", err);
+        setIsAvailable(false);
+      });
+  }, []);
+
+  const save = useCallback(async (item) => {
+    await putOutboxItem(item);
+    setItems((prev) =>
+      prev.some((existing) => existing.id === item.id)
+        ? prev.map((existing) => (existing.id === item.id ? item : existing))
+        : [...prev, item]
+    );
+    return item;
+  }, []);
+
+  // Store a finished recording as a draft
+  const add = useCallback(
+    (blob, filename) => save(createOutboxItem(blob, filename)),
+    [save]
+  );
+
+  // Swap in an edited version of a recording that has not been uploaded yet
+  const replaceBlob = useCallback(
+    (item, blob) => save({ ...item, blob, size: blob.size, type: blob.type }),
+    [save]
+  );
+
+  const remove = useCallback(async (id) => {
+    await deleteOutboxItem(id);
+    setItems((prev) => prev.filter((item) => item.id !== id));
+  }, []);
+
+  // Upload an item with `uploadBlob`, removing it from the outbox once the
+  // server has it. An item that failed for a transient reason stays queued
+  // for the automatic sync, a cancelled one goes back to being a draft.
+  const send = useCallback(
+    async (item, uploadBlob) => {
+      const queued = await save({
+        ...item,
+        status: "queued",
+        attempts: item.attempts + 1,
+        lastError: "",
+      });
+
+      try {
+        const data = await uploadBlob(item.blob, item.filename);
+        await remove(item.id);
+        if (onUploadedRef.current) onUploadedRef.current(item, data);
+        return data;
+      } catch (error) {
+        const cancelled = error.name === "AbortError";
+        await save({
+          ...queued,
+          status: cancelled
+            ? "draft"
+            : isRetryableError(error)
+              ? "queued"
+              : "failed",
+          lastError: cancelled ? "" : error.message,
+        });
+        throw error;
+      }
+    },
+    [save, remove]
+  );
+
+  const submit = useCallback(
+    async (item) => {
+      submittingIdRef.current = item.id;
+      setSubmittingId(item.id);
+      try {
+        return await send(item, upload);
+      } finally {
+        submittingIdRef.current = null;
+        setSubmittingId(null);
+      }
+    },
+    [send, upload]
+  );
+
+  // Upload queued items one after the other. A network or server error stops
+  // the run since the backend is most likely still unreachable, an item it
+  // rejected is skipped, as is the one submit() is uploading.
+  const syncQueued = useCallback(async () => {
+    if (syncBusyRef.current || !navigator.onLine) return;
+
+    syncBusyRef.current = true;
+    try {
+      const ids = itemsRef.current
+        .filter((item) => item.status === "queued")
+        .map((item) => item.id);
+      for (const id of ids) {
+        const item = itemsRef.current.find((current) => current.id === id);
+        if (item?.status !== "queued" || id === submittingIdRef.current) {
+          continue;
+        }
+
+        setSyncingId(id);
+        try {
+          await send(item, syncUpload);
+        } catch (error) {
+          if (isRetryableError(error)) {
+            console.warn("Outbox sync stopped:", error);
+            break;
+          }
+          console.warn(`Outbox sync skipped ${item.filename}:`, error);
+        }
+      }
+    } finally {
+      syncBusyRef.current = false;
+      setSyncingId(null);
+    }
+  }, [send, syncUpload]);
+
+  useEffect(() => {
+    if (!isAvailable) return undefined;
+
+    window.addEventListener("online", syncQueued);
+    const interval = setInterval(syncQueued, syncIntervalMs);
+    // Give the items left by a previous session a first try after loading
+    const initialSync = setTimeout(syncQueued, 1000);
+
+    return () => {
+      window.removeEventListener("online", syncQueued);
+      clearInterval(interval);
+      clearTimeout(initialSync);
+    };
+  }, [isAvailable, syncQueued, syncIntervalMs]);
+
+  return {
+    items,
+    isAvailable,
+    submittingId,
+    syncingId,
+    add,
+    replaceBlob,
+    remove,
+    submit,
+    syncQueued,
+  };
+};
+
+export default useOutbox;
@@ -0,0 +1,130 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { createId } from "../storage/db";
+import {
+  appendRecordingChunk,
+  deleteRecordingSession,
+  getRecordingChunks,
+  getRecordingSessions,
+  putRecordingSession,
+} from "../storage/recordingSessions";
+
+// Crash-safe storage for the take being recorded, used by useVoiceRecorder.
+// Every chunk is written to IndexedDB as it arrives; sessions still stored
+// when the page loads were interrupted before their conversion finished and
+// are listed in `interrupted` so they can be recovered.
+const useRecordingPersistence = ({ enabled = true } = {}) => {
+  const [interrupted, setInterrupted] = useState([]);
+  const sessionRef = useRef(null);
+  const writeQueueRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    getRecordingSessions()
+      .then((sessions) =>
+        setInterrupted(sessions.filter((session) => session.chunkCount > 0))
+      )
+      .catch((err) => {
+        console.error("Failed to look for interrupted recordings:", err);
+      });
+  }, [enabled]);
+
+  // Writes run one after the other so a session is never deleted before its
+  // last chunk has been stored
+  const enqueue = useCallback((task) => {
+    writeQueueRef.current = writeQueueRef.current
+      .then(task)
+      .catch((err) => console.warn("Failed to persist recording:", err));
+    return writeQueueRef.current;
+  }, []);
+
+  const begin = useCallback(
+    (mimeType, trackSettings) => {
+      if (!enabled) return;
+
+      const now = Date.now();
+      const session = {
+        id: createId(),
+        mimeType,
+        trackSettings,
+        startedAt: now,
+        updatedAt: now,
+        recordedMs: 0,
+        chunkCount: 0,
+        size: 0,
+      };
+      sessionRef.current = session;
+      enqueue(() => putRecordingSession(session));
+    },
+    [enabled, enqueue]
+  );
+
+  const append = useCallback(
+    (blob, recordedMs) => {
+      const session = sessionRef.current;
+      if (!session) return;
+
+      const index = session.chunkCount;
+      const updated = {
+        ...session,
+        chunkCount: index + 1,
+        size: session.size + blob.size,
+        recordedMs,
+        updatedAt: Date.now(),
+      };
+      sessionRef.current = updated;
+      enqueue(() => appendRecordingChunk(updated, index, blob));
+    },
+    [enqueue]
+  );
+
+  // The take has been converted or discarded, its chunks are not needed
+  const finish = useCallback(() => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (session) enqueue(() => deleteRecordingSession(session.id));
+  }, [enqueue]);
+
+  // The conversion failed: keep the chunks and offer them for recovery
+  const release = useCallback(() => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (session && session.chunkCount > 0) {
+      setInterrupted((prev) => [session, ...prev]);
+    }
+  }, []);
+
+  // Load an interrupted session's chunks and make it the current session, so
+  // finish() removes it once the recovered take has been converted
+  const restore = useCallback(
+    async (sessionId) => {
+      await writeQueueRef.current;
+      const session = interrupted.find(
+        (candidate) => candidate.id === sessionId
+      );
+      if (!session) throw new Error("Interrupted recording not found.");
+
+      const chunks = await getRecordingChunks(sessionId);
+      sessionRef.current = session;
+      setInterrupted((prev) =>
+        prev.filter((candidate) => candidate.id !== sessionId)
+      );
+      return { session, chunks };
+    },
+    [interrupted]
+  );
+
+  const discard = useCallback(
+    async (sessionId) => {
+      await enqueue(() => deleteRecordingSession(sessionId));
+      setInterrupted((prev) =>
+        prev.filter((candidate) => candidate.id !== sessionId)
+      );
+    },
+    [enqueue]
+  );
+
+  return { interrupted, begin, append, finish, release, restore, discard };
+};
+
+export default useRecordingPersistence;
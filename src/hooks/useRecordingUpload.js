@@ -0,0 +1,88 @@
+import { useState, useRef, useCallback } from "react";
+import { isRetryableError } from "../api/client";
+import { uploadInChunks } from "../api/chunkedUpload";
+import { retryWithBackoff } from "../utils/retry";
+
+// Upload state for a single recording: progress, cancellation and automatic
+// retries with exponential backoff.
+//
+// Blobs of at least `chunkedThreshold` bytes go through the resumable chunked
+// protocol, so a retry continues from the last acknowledged chunk. Leave it
+// unset when the backend only supports single multipart uploads.
+//
+// status is one of "idle", "uploading" or "retrying". upload() resolves with
+// the server response and rejects with the last error (an AbortError when
+// cancelled), so the caller keeps its blob until the upload succeeded.
+const useRecordingUpload = ({
+  api,
+  retries = 3,
+  chunkedThreshold = null,
+  chunkSize,
+}) => {
+  const [status, setStatus] = useState("idle");
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [retryInfo, setRetryInfo] = useState(null);
+  const controllerRef = useRef(null);
+
+  const upload = useCallback(
+    async (blob, filename) => {
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      setProgress({ loaded: 0, total: blob.size });
+
+      try {
+        return await retryWithBackoff(
+          () => {
+            setStatus("uploading");
+            setRetryInfo(null);
+            const options = {
+              signal: controller.signal,
+              onProgress: setProgress,
+            };
+            if (chunkedThreshold !== null && blob.size >= chunkedThreshold) {
+              return uploadInChunks(api, blob, filename, {
+                ...options,
+                chunkSize,
+              });
+            }
+            return api.uploadRecording(blob, filename, options);
+          },
+          {
+            retries,
+            signal: controller.signal,
+            shouldRetry: isRetryableError,
+            onRetry: ({ attempt, delay, error }) => {
+              console.warn(
+                `Upload failed, retrying in ${delay}ms (${attempt}/${retries}):`,
+                error
+              );
+              setStatus("retrying");
+              setRetryInfo({ attempt, retries, delay });
+              setProgress({ loaded: 0, total: blob.size });
+            },
+          }
+        );
+      } finally {
+        controllerRef.current = null;
+        setStatus("idle");
+        setRetryInfo(null);
+      }
+    },
+    [api, retries, chunkedThreshold, chunkSize]
+  );
+
+  const cancel = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  return {
+    status,
+    isUploading: status !== "idle",
+    progress,
+    retryInfo,
+    upload,
+    cancel,
+  };
+};
+
+export default useRecordingUpload;
@@ -0,0 +1,279 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from "react";
+import { ApiError } from "../api/client";
+import {
+  applyRecordingsQuery,
+  getRecordingName,
+} from "../utils/recordingsQuery";
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Deletions wait this long for an undo before they are sent
+const UNDO_TIMEOUT_MS = 6000;
+
+// Saved recordings matching `query` (see utils/recordingsQuery.js), loaded a
+// page at a time. A new query starts over from the first page.
+//
+// Edits are shown right away and rolled back when the server rejects them,
+// failures are passed to `onError` as a message.
+const useRecordingsList = (
+  api,
+  query,
+  { pageSize = DEFAULT_PAGE_SIZE, onError } = {}
+) => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Server position of the first recording not loaded yet, and the request
+  // in flight
+  const nextOffsetRef = useRef(0);
+  const controllerRef = useRef(null);
+  const queryRef = useRef(query);
+  const pageSizeRef = useRef(pageSize);
+  const onErrorRef = useRef(onError);
+
+  useEffect(() => {
+    queryRef.current = query;
+    pageSizeRef.current = pageSize;
+    onErrorRef.current = onError;
+  }, [query, pageSize, onError]);
+
+  // Deletions waiting for an undo, as { id, recordings } groups deleted
+  // together, and the timers sending them by group id
+  const [pendingRemovals, setPendingRemovals] = useState([]);
+  const removalTimersRef = useRef(new Map());
+  const nextRemovalIdRef = useRef(1);
+
+  const loadPage = useCallback(
+    async (page) => {
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      setIsLoading(true);
+      setError(null);
+
+      const limit = pageSizeRef.current;
+      try {
+        const data = await api.fetchRecordings(
+          { ...queryRef.current, page, limit },
+          { signal: controller.signal }
+        );
+        if (controller.signal.aborted) return;
+
+        if (Array.isArray(data)) {
+          // Backend without paging, everything arrived at once
+          const matching = applyRecordingsQuery(data, queryRef.current);
+          setItems(matching);
+          setTotal(matching.length);
+          setHasMore(false);
+          return;
+        }
+
+        const pageItems = data.items || [];
+        setItems((prev) =>
+          page === 1
+            ? pageItems
+            : // Uploads since the last page can shift items onto this one
+              [
+                ...prev,
+                ...pageItems.filter(
+                  (item) => !prev.some((known) => known._id === item._id)
+                ),
+              ]
+        );
+        setTotal(data.total ?? null);
+        setHasMore(
+          data.total != null
+            ? page * limit < data.total
+            : pageItems.length === limit
+        );
+        nextOffsetRef.current = page * limit;
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        if (err instanceof ApiError) {
+          console.error("Failed to fetch recordings:", err.data || err);
+        } else {
+          console.error("Network error fetching recordings:", err);
+        }
+        setError(err);
+      } finally {
+        if (controllerRef.current === controller) {
+          controllerRef.current = null;
+          setIsLoading(false);
+        }
+      }
+    },
+    [api]
+  );
+
+  // Reload from the first page, e.g. after an upload
+  const refresh = useCallback(() => loadPage(1), [loadPage]);
+
+  // Deletions move the following recordings up on the server, so the page
+  // holding the next one may start with recordings that are already loaded
+  const loadMore = useCallback(() => {
+    if (controllerRef.current || !hasMore) return;
+    loadPage(Math.floor(nextOffsetRef.current / pageSizeRef.current) + 1);
+  }, [loadPage, hasMore]);
+
+  // Initial load, repeated when the query or the API configuration changes
+  useEffect(() => {
+    refresh();
+  }, [refresh, query, pageSize]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const reportError = (message, err) => {
+    console.error(`${message}:`, err);
+    onErrorRef.current?.(`${message}: ${err.message}`);
+  };
+
+  const replaceItem = (recording) =>
+    setItems((prev) =>
+      prev.map((item) => (item._id === recording._id ? recording : item))
+    );
+
+  // Change the metadata of a recording, see api.updateRecording. Resolves
+  // with false when the change was rolled back.
+  const update = useCallback(
+    async (recording, changes) => {
+      replaceItem({ ...recording, ...changes });
+      try {
+        const saved = await api.updateRecording(recording._id, changes);
+        // Backends may answer without the updated recording
+        replaceItem(saved?._id ? saved : { ...recording, ...changes });
+        return true;
+      } catch (err) {
+        replaceItem(recording);
+        reportError(`Failed to update ${getRecordingName(recording)}`, err);
+        return false;
+      }
+    },
+    [api]
+  );
+
+  const commitRemoval = useCallback(
+    async (removal) => {
+      removalTimersRef.current.delete(removal.id);
+      const results = await Promise.allSettled(
+        removal.recordings.map((recording) =>
+          api.deleteRecording(recording._id)
+        )
+      );
+
+      const deletedIds = new Set();
+      const failures = [];
+      results.forEach(({ status, reason }, index) => {
+        const recording = removal.recordings[index];
+        // Already gone counts as deleted
+        if (
+          status === "fulfilled" ||
+          (reason instanceof ApiError && reason.status === 404)
+        ) {
+          deletedIds.add(recording._id);
+        } else {
+          failures.push({ recording, reason });
+        }
+      });
+
+      setItems((prev) => prev.filter((item) => !deletedIds.has(item._id)));
+      nextOffsetRef.current = Math.max(
+        0,
+        nextOffsetRef.current - deletedIds.size
+      );
+      setTotal((prev) => (prev == null ? prev : prev - deletedIds.size));
+      setPendingRemovals((prev) =>
+        prev.filter((item) => item.id !== removal.id)
+      );
+
+      if (failures.length > 0) {
+        const [{ recording, reason }] = failures;
+        reportError(
+          failures.length === 1
+            ? `Failed to delete ${getRecordingName(recording)}`
+            : `Failed to delete ${failures.length} recordings`,
+          reason
+        );
+      }
+    },
+    [api]
+  );
+
+  // Hide recordings and delete them on the server unless undone within
+  // UNDO_TIMEOUT_MS
+  const remove = useCallback(
+    (recordings) => {
+      if (recordings.length === 0) return;
+      const removal = { id: nextRemovalIdRef.current++, recordings };
+      setPendingRemovals((prev) => [...prev, removal]);
+      removalTimersRef.current.set(removal.id, {
+        recordings,
+        timer: setTimeout(() => commitRemoval(removal), UNDO_TIMEOUT_MS),
+      });
+    },
+    [commitRemoval]
+  );
+
+  const undoRemove = useCallback((removal) => {
+    clearTimeout(removalTimersRef.current.get(removal.id)?.timer);
+    removalTimersRef.current.delete(removal.id);
+    setPendingRemovals((prev) => prev.filter((item) => item.id !== removal.id));
+  }, []);
+
+  // Deletions still waiting for an undo are sent right away when the page is
+  // closed or the list goes away
+  useEffect(() => {
+    const timers = removalTimersRef.current;
+    const flush = () => {
+      timers.forEach(({ recordings, timer }) => {
+        clearTimeout(timer);
+        recordings.forEach((recording) => {
+          api
+            .deleteRecording(recording._id, { keepalive: true })
+            .catch((err) => {
+              console.error("Failed to delete recording:", err);
+            });
+        });
+      });
+      timers.clear();
+    };
+
+    window.addEventListener("pagehide", flush);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      flush();
+    };
+  }, [api]);
+
+  const removedIds = useMemo(
+    () =>
+      new Set(
+        pendingRemovals.flatMap(({ recordings }) =>
+          recordings.map((recording) => recording._id)
+        )
+      ),
+    [pendingRemovals]
+  );
+  const visibleItems = useMemo(
+    () => items.filter((item) => !removedIds.has(item._id)),
+    [items, removedIds]
+  );
+
+  return {
+    items: visibleItems,
+    total: total == null ? null : total - removedIds.size,
+    hasMore,
+    isLoading,
+    error,
+    refresh,
+    loadMore,
+    update,
+    remove,
+    undoRemove,
+    pendingRemovals,
+  };
+};
+
+export default useRecordingsList;
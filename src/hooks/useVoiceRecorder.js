@@ -0,0 +1,834 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { FFmpeg } from "@ffmpeg/ffmpeg";
+import { fetchFile } from "@ffmpeg/util";
+import { getFFmpegLoadConfig } from "../utils/ffmpeg";
+import useRecordingPersistence from "./useRecordingPersistence";
+import useMicrophonePermission from "./useMicrophonePermission";
+import { getAccessIssue, getSupportIssue } from "../utils/microphoneAccess";
+import { getConcatArgs, getConcatList, getTrimArgs } from "../utils/audioEdits";
+import { DEFAULT_AUDIO_CONSTRAINTS } from "../utils/audioInput";
+import { createLevelMonitor, toDecibels } from "../utils/audioAnalysis";
+import {
+  getLoudnessMeasureArgs,
+  hasProcessing,
+  limitProcessing,
+  parseLoudness,
+} from "../utils/audioProcessing";
+import {
+  DEFAULT_OUTPUT_CONFIG,
+  canStreamCopy,
+  getConversionArgs,
+  getFileExtension,
+  getOutputFileName,
+  getOutputFormat,
+  getPreferredRecorderMimeTypes,
+  getRecordedCodec,
+  getStreamCopyArgs,
+  parseAudioStreamInfo,
+  parseBitrate,
+} from "../utils/audioFormats";
+
+// Get supported MIME type for initial recording, trying the types matching
+// the output format first
+const getSupportedMimeType = (preferredTypes = []) => {
+  const possibleTypes = [
+    ...preferredTypes,
+    "audio/webm;codecs=opus",
+    "audio/mp4;codecs=mp4a.40.2",
+    "audio/webm",
+    "audio/mp4",
+    "audio/aac",
+  ];
+
+  for (const mimeType of possibleTypes) {
+    if (MediaRecorder.isTypeSupported(mimeType)) {
+      console.log("Using initial MediaRecorder MIME type:", mimeType);
+      return mimeType;
+    }
+  }
+
+  console.warn(
+    "No preferred MIME type supported for initial recording, using default."
+  );
+  return "";
+};
+
+// How often the input level is checked in voice activated mode
+const VOICE_ACTIVITY_INTERVAL_MS = 50;
+
+// Format, sample rate and channels a take was converted with, so later
+// segments can be encoded to match it. `written` is what FFmpeg reports for
+// the output file: without an explicit rate it keeps the decoded one (always
+// 48 kHz for Opus), and loudness normalization sets one of its own.
+const getTakeParams = (config, trackSettings, written = {}) => {
+  const params = { outputFormat: config.outputFormat };
+  const sampleRate =
+    written.sampleRate || config.sampleRate || trackSettings.sampleRate;
+  const channels =
+    written.channels || config.channels || trackSettings.channelCount;
+  if (sampleRate) params.sampleRate = sampleRate;
+  if (channels) params.channels = channels;
+  return params;
+};
+
+// Output config for the take being recorded, a segment spliced into the
+// current take is encoded like that take so the parts can be concatenated
+const getTakeConfig = (outputConfig, splice) =>
+  splice ? { ...outputConfig, ...splice.params } : outputConfig;
+
+// Run FFmpeg and resolve with its log output
+const execForLog = async (ffmpeg, args) => {
+  let log = "";
+  const collect = ({ message }) => {
+    log += message + "\n";
+  };
+
+  ffmpeg.on("log", collect);
+  try {
+    await ffmpeg.exec(args);
+  } finally {
+    ffmpeg.off("log", collect);
+  }
+  return log;
+};
+
+// Loudness of a file in FFmpeg's file system, from an analysis pass
+const measureLoudness = async (ffmpeg, file) =>
+  parseLoudness(await execForLog(ffmpeg, getLoudnessMeasureArgs(file)));
+
+// Sample rate and channels of a file in FFmpeg's file system. Without an
+// output FFmpeg only prints the input's streams (and exits with an error).
+const probeAudio = async (ffmpeg, file) =>
+  parseAudioStreamInfo(await execForLog(ffmpeg, ["-hide_banner", "-i", file]));
+
+// Free the memory of files in FFmpeg's file system, skipping those that were
+// never written
+const deleteFiles = async (ffmpeg, files) => {
+  for (const file of files) {
+    try {
+      await ffmpeg.deleteFile(file);
+    } catch {
+      // Not created, e.g. when an earlier step failed
+    }
+  }
+};
+
+// Join a converted segment with the take it was recorded for, inserted at
+// `at` seconds (Infinity appends), through FFmpeg's concat demuxer
+const spliceTake = async (ffmpeg, { base, at }, segment, config) => {
+  const format = getOutputFormat(config);
+  const file = (part) => `splice-${part}.${format.extension}`;
+  const run = async (args) => {
+    const exitCode = await ffmpeg.exec(args);
+    if (exitCode !== 0) throw new Error(`FFmpeg exited with code ${exitCode}`);
+  };
+
+  const output = file("output");
+
+  try {
+    await ffmpeg.writeFile(file("base"), await fetchFile(base));
+    await ffmpeg.writeFile(file("segment"), await fetchFile(segment));
+
+    let parts = [file("base"), file("segment")];
+    if (at <= 0) {
+      parts = [file("segment"), file("base")];
+    } else if (Number.isFinite(at)) {
+      await run(getTrimArgs(file("base"), file("head"), 0, at));
+      await run(getTrimArgs(file("base"), file("tail"), at));
+      parts = [file("head"), file("segment"), file("tail")];
+    }
+    await ffmpeg.writeFile("splice.txt", getConcatList(parts));
+
+    const copyExitCode = await ffmpeg.exec(
+      getConcatArgs("splice.txt", output, config)
+    );
+    if (copyExitCode !== 0) {
+      console.warn("Concatenating by stream copy failed, re-encoding instead.");
+      await run(
+        getConcatArgs("splice.txt", output, config, { reencode: true })
+      );
+    }
+
+    const data = await ffmpeg.readFile(output);
+    return new Blob([data.buffer], { type: format.mimeType });
+  } finally {
+    await deleteFiles(ffmpeg, [
+      ...["base", "segment", "head", "tail"].map(file),
+      "splice.txt",
+      output,
+    ]);
+  }
+};
+
+// Headless recording engine: microphone capture, MediaRecorder lifecycle and
+// the FFmpeg conversion of the finished take to `outputConfig` (see
+// utils/audioFormats.js).
+//
+// status is one of "idle", "armed", "recording", "paused", "converting" or
+// "editing".
+//
+// start() replaces the current take. start({ spliceAt }) records a segment
+// that is inserted into the current take at `spliceAt` seconds instead, or
+// appended with Infinity; if joining fails the current take is kept and the
+// segment is offered for recovery. onRecordingComplete(blob, url, { isSplice })
+// tells whether the blob replaces the current take with a spliced version of
+// it, rather than being a new take.
+//
+// When the output config asks for silence trimming or loudness normalization
+// (see utils/audioProcessing.js), `levels` holds the loudness measured before
+// and after the conversion: { before, after }, each { integrated, truePeak }.
+//
+// start({ voiceActivated: true }) opens the microphone but stays "armed"
+// until the input level rises above `vadThresholdDb` (dBFS), and stops the
+// take after `vadSilenceSeconds` below it. There is no pre-roll: MediaRecorder
+// only starts once the level was detected, so the take misses the onset of
+// the first word.
+//
+// `maxDurationSeconds` and `maxSizeBytes` (of the recorded chunks) stop the
+// recording by themselves, so a forgotten take cannot exhaust the memory of
+// the conversion. `remainingSeconds` estimates the time left until the first
+// limit, `autoStopReason` is "duration" or "size" after such a stop.
+//
+// `audioConstraints` are the getUserMedia audio constraints for the next take
+// (see utils/audioInput.js for building them from the input settings).
+//
+// Problems with microphone access are reported in `micIssue` (a key of
+// MIC_ISSUES in utils/microphoneAccess.js) instead of `error`. `permission`
+// mirrors the Permissions API, and `canStart` turns false while access is
+// known to be blocked, so it comes back by itself once the user allows it.
+//
+// Unless `persistChunks` is false, the recorded chunks are also written to
+// IndexedDB; takes interrupted before their conversion finished are listed in
+// `interruptedSessions` and can be converted with recover(sessionId).
+const useVoiceRecorder = ({
+  onRecordingComplete,
+  outputConfig = DEFAULT_OUTPUT_CONFIG,
+  audioConstraints = DEFAULT_AUDIO_CONSTRAINTS,
+  maxDurationSeconds = null,
+  maxSizeBytes = null,
+  vadThresholdDb = -45,
+  vadSilenceSeconds = 2,
+  ffmpegCoreURL,
+  ffmpegMultiThread,
+  persistChunks = true,
+} = {}) => {
+  const [status, setStatus] = useState("idle");
+  const [isReady, setIsReady] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [blob, setBlob] = useState(null);
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+  // Live microphone stream while recording, for meters and analysers
+  const [stream, setStream] = useState(null);
+  const [levels, setLevels] = useState(null);
+  const [recordedBytes, setRecordedBytes] = useState(0);
+  const [autoStopReason, setAutoStopReason] = useState(null);
+  const [isVoiceActivated, setIsVoiceActivated] = useState(false);
+  const [supportIssue] = useState(getSupportIssue);
+  // Set when getUserMedia failed in start()
+  const [accessIssue, setAccessIssue] = useState(null);
+  const permission = useMicrophonePermission();
+
+  const mediaRecorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const chunksRef = useRef([]);
+  const trackSettingsRef = useRef({});
+  const timerRef = useRef(null);
+  const recordedMsRef = useRef(0);
+  const segmentStartRef = useRef(0);
+  const ffmpegRef = useRef(new FFmpeg());
+  const onRecordingCompleteRef = useRef(onRecordingComplete);
+  const outputConfigRef = useRef(outputConfig);
+  const audioConstraintsRef = useRef(audioConstraints);
+  // Encoding of the current take, and the pending splice while recording
+  // a segment for it
+  const takeParamsRef = useRef(null);
+  const spliceRef = useRef(null);
+  const {
+    interrupted: interruptedSessions,
+    begin: beginSession,
+    append: appendChunk,
+    finish: finishSession,
+    release: releaseSession,
+    restore: restoreSession,
+    discard: discardInterrupted,
+  } = useRecordingPersistence({ enabled: persistChunks });
+
+  useEffect(() => {
+    onRecordingCompleteRef.current = onRecordingComplete;
+  }, [onRecordingComplete]);
+
+  // Read at conversion time, so a change while recording applies to that take
+  useEffect(() => {
+    outputConfigRef.current = outputConfig;
+  }, [outputConfig]);
+
+  useEffect(() => {
+    audioConstraintsRef.current = audioConstraints;
+  }, [audioConstraints]);
+
+  // Allowing access in the site settings resolves a previous denial
+  useEffect(() => {
+    if (permission === "granted" || permission === "prompt") {
+      setAccessIssue((issue) => (issue === "denied" ? null : issue));
+    }
+  }, [permission]);
+
+  const micIssue =
+    supportIssue || (permission === "denied" ? "denied" : accessIssue);
+  const canStart = isReady && !supportIssue && permission !== "denied";
+
+  // FFmpeg setup
+  useEffect(() => {
+    let cancelled = false;
+    const ffmpeg = ffmpegRef.current;
+
+    const loadFFmpeg = async () => {
+      try {
+        if (!ffmpeg.loaded) {
+          await ffmpeg.load(
+            getFFmpegLoadConfig({
+              baseURL: ffmpegCoreURL,
+              multiThread: ffmpegMultiThread,
+            })
+          );
+          console.log("FFmpeg loaded successfully");
+        }
+        if (!cancelled) setIsReady(true);
+      } catch (err) {
+        console.error("Failed to load FFmpeg:", err);
+        if (!cancelled) {
+          setError("Failed to load audio converter. Please try again.");
+        }
+      }
+    };
+
+    loadFFmpeg();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ffmpegCoreURL, ffmpegMultiThread]);
+
+  // Revoke the previous object URL whenever it is replaced or on unmount
+  useEffect(() => {
+    return () => {
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [url]);
+
+  // The timer only counts time spent in the "recording" state, so the elapsed
+  // time stays frozen while paused and matches the length of the take
+  const startTimer = useCallback(() => {
+    if (timerRef.current) clearInterval(timerRef.current);
+    segmentStartRef.current = Date.now();
+    timerRef.current = setInterval(() => {
+      const recordedMs =
+        recordedMsRef.current + Date.now() - segmentStartRef.current;
+      setElapsed(Math.floor(recordedMs / 1000));
+    }, 250);
+  }, []);
+
+  const stopTimer = useCallback(() => {
+    if (timerRef.current) {
+      clearInterval(timerRef.current);
+      timerRef.current = null;
+      recordedMsRef.current += Date.now() - segmentStartRef.current;
+      setElapsed(Math.floor(recordedMsRef.current / 1000));
+    }
+  }, []);
+
+  const stopStream = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+      setStream(null);
+    }
+  }, []);
+
+  // Stop capturing without converting what was recorded so far
+  const discardRecorder = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (recorder) {
+      recorder.ondataavailable = null;
+      recorder.onstop = null;
+      recorder.onpause = null;
+      recorder.onresume = null;
+      if (recorder.state !== "inactive") recorder.stop();
+      mediaRecorderRef.current = null;
+    }
+    stopTimer();
+    stopStream();
+    finishSession();
+  }, [stopTimer, stopStream, finishSession]);
+
+  useEffect(() => discardRecorder, [discardRecorder]);
+
+  // Convert the recorded chunks to the configured output format
+  const convertRecording = useCallback(
+    async (mimeType) => {
+      const initialBlob = new Blob(chunksRef.current, { type: mimeType });
+      setBlob(initialBlob);
+      stopStream();
+      setStatus("converting");
+      setLevels(null);
+
+      const splice = spliceRef.current;
+      spliceRef.current = null;
+      const takeConfig = getTakeConfig(outputConfigRef.current, splice);
+      const config = limitProcessing(takeConfig, recordedMsRef.current / 1000);
+      if (config !== takeConfig) {
+        console.warn("Take too long to trim silence, converting it untrimmed.");
+      }
+      const format = getOutputFormat(config);
+      const outputName = getOutputFileName(config);
+      const ffmpeg = ffmpegRef.current;
+
+      try {
+        await ffmpeg.writeFile("input.file", await fetchFile(initialBlob));
+
+        // Remux instead of re-encoding when the browser already recorded the
+        // requested codec (e.g. AAC on Safari), falling back to a full
+        // conversion if the copy fails
+        let exitCode = -1;
+        if (canStreamCopy(mimeType, config, trackSettingsRef.current)) {
+          exitCode = await ffmpeg.exec(
+            getStreamCopyArgs(config, "input.file", outputName)
+          );
+          if (exitCode !== 0) {
+            console.warn("Stream copy failed, re-encoding instead.");
+          }
+        }
+        if (exitCode !== 0) {
+          exitCode = await ffmpeg.exec(
+            getConversionArgs(config, "input.file", outputName)
+          );
+        }
+        if (exitCode !== 0) {
+          throw new Error(`FFmpeg exited with code ${exitCode}`);
+        }
+
+        if (hasProcessing(config)) {
+          try {
+            const before = await measureLoudness(ffmpeg, "input.file");
+            const after = await measureLoudness(ffmpeg, outputName);
+            setLevels(before || after ? { before, after } : null);
+          } catch (measureError) {
+            console.warn("Failed to measure loudness:", measureError);
+          }
+        }
+
+        let written = {};
+        try {
+          written = await probeAudio(ffmpeg, outputName);
+        } catch (probeError) {
+          console.warn("Failed to probe the converted take:", probeError);
+        }
+
+        const data = await ffmpeg.readFile(outputName);
+        let outputBlob = new Blob([data.buffer], { type: format.mimeType });
+
+        if (splice) {
+          try {
+            outputBlob = await spliceTake(ffmpeg, splice, outputBlob, config);
+          } catch (spliceError) {
+            console.error("Failed to join the takes:", spliceError);
+            setError(
+              "Failed to join the takes, the new one can be recovered: " +
+                spliceError.message
+            );
+            setBlob(splice.base);
+            releaseSession();
+            return;
+          }
+        }
+
+        const outputUrl = URL.createObjectURL(outputBlob);
+        takeParamsRef.current = getTakeParams(
+          config,
+          trackSettingsRef.current,
+          written
+        );
+        setBlob(outputBlob);
+        setUrl(outputUrl);
+
+        if (onRecordingCompleteRef.current) {
+          onRecordingCompleteRef.current(outputBlob, outputUrl, {
+            isSplice: !!splice,
+          });
+        }
+        finishSession();
+      } catch (convertError) {
+        console.error(`Failed to convert to ${format.label}:`, convertError);
+        setError("Failed to convert audio: " + convertError.message);
+        if (splice) {
+          // The take the segment was recorded for is still intact
+          setBlob(splice.base);
+        } else {
+          setUrl("");
+          setBlob(null);
+        }
+        releaseSession();
+      } finally {
+        await deleteFiles(ffmpeg, ["input.file", outputName]);
+        setStatus("idle");
+      }
+    },
+    [stopStream, finishSession, releaseSession]
+  );
+
+  // Record `micStream` with MediaRecorder, for the take set up by start()
+  const beginCapture = useCallback(
+    (micStream) => {
+      chunksRef.current = [];
+      trackSettingsRef.current =
+        micStream.getAudioTracks()[0]?.getSettings() || {};
+
+      const config = getTakeConfig(outputConfigRef.current, spliceRef.current);
+      const format = getOutputFormat(config);
+      const mimeType = getSupportedMimeType(
+        getPreferredRecorderMimeTypes(config)
+      );
+      const options = mimeType ? { mimeType } : {};
+
+      // Record at the target bitrate when the take will only be remuxed
+      if (
+        format.codec === getRecordedCodec(mimeType) &&
+        parseBitrate(config.bitrate)
+      ) {
+        options.audioBitsPerSecond = parseBitrate(config.bitrate);
+      }
+
+      const recorder = new MediaRecorder(micStream, options);
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          chunksRef.current.push(event.data);
+          setRecordedBytes((bytes) => bytes + event.data.size);
+          appendChunk(
+            event.data,
+            recordedMsRef.current +
+              (timerRef.current ? Date.now() - segmentStartRef.current : 0)
+          );
+        }
+      };
+
+      recorder.onstop = () => {
+        mediaRecorderRef.current = null;
+        convertRecording(recorder.mimeType);
+      };
+
+      // Keep the status in sync when the browser pauses or resumes the
+      // recorder on its own (e.g. the microphone is muted by the system)
+      recorder.onpause = () => {
+        stopTimer();
+        setStatus("paused");
+      };
+
+      recorder.onresume = () => {
+        if (!timerRef.current) startTimer();
+        setStatus("recording");
+      };
+
+      recorder.onerror = (event) => {
+        console.error("MediaRecorder error:", event.error);
+        setError("Recording failed: " + event.error.message);
+      };
+
+      mediaRecorderRef.current = recorder;
+      beginSession(recorder.mimeType, trackSettingsRef.current);
+      recorder.start(1000);
+      setStatus("recording");
+      recordedMsRef.current = 0;
+      setElapsed(0);
+      setRecordedBytes(0);
+      setAutoStopReason(null);
+      startTimer();
+
+      console.log("Recording started with MIME type:", recorder.mimeType);
+    },
+    [convertRecording, startTimer, stopTimer, beginSession, appendChunk]
+  );
+
+  // Start recording
+  const start = useCallback(
+    async ({ spliceAt = null, voiceActivated = false } = {}) => {
+      if (getSupportIssue()) return;
+      if (!ffmpegRef.current.loaded) {
+        setError("Audio converter is not loaded yet. Please wait.");
+        return;
+      }
+
+      try {
+        setError("");
+        setAccessIssue(null);
+
+        let micStream;
+        try {
+          micStream = await navigator.mediaDevices.getUserMedia({
+            audio: audioConstraintsRef.current,
+          });
+        } catch (accessError) {
+          const issue = getAccessIssue(accessError);
+          if (!issue) throw accessError;
+          console.error("Microphone access failed:", accessError);
+          setAccessIssue(issue);
+          return;
+        }
+
+        streamRef.current = micStream;
+        setStream(micStream);
+        setIsVoiceActivated(voiceActivated);
+
+        // Segments can only be spliced into a finished take
+        spliceRef.current =
+          spliceAt !== null && blob && takeParamsRef.current
+            ? { base: blob, at: spliceAt, params: takeParamsRef.current }
+            : null;
+
+        if (voiceActivated) {
+          // Capturing starts once speech is detected, see below
+          setStatus("armed");
+          return;
+        }
+        beginCapture(micStream);
+      } catch (startError) {
+        console.error("Failed to start recording:", startError);
+        setError("Failed to start recording: " + startError.message);
+        spliceRef.current = null;
+        stopStream();
+      }
+    },
+    [blob, beginCapture, stopStream]
+  );
+
+  // Stop recording, the take is converted in the recorder's onstop handler
+  const stop = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (recorder && recorder.state !== "inactive") {
+      recorder.stop();
+      stopTimer();
+      setStatus("converting");
+    } else if (!recorder && streamRef.current) {
+      // Armed for voice activation, nothing has been captured yet
+      spliceRef.current = null;
+      stopStream();
+      setStatus("idle");
+    }
+  }, [stopTimer, stopStream]);
+
+  // Voice activation: start capturing at the first speech while armed, stop
+  // after a stretch of silence while recording (not while paused)
+  useEffect(() => {
+    if (!isVoiceActivated || !stream) return undefined;
+    if (status !== "armed" && status !== "recording") return undefined;
+
+    const monitor = createLevelMonitor(stream);
+    if (!monitor) return undefined;
+
+    let quietSince = null;
+    const interval = setInterval(() => {
+      const isSpeaking = toDecibels(monitor.getLevels().rms) >= vadThresholdDb;
+
+      if (status === "armed") {
+        // The status update may lag behind the next check
+        if (!isSpeaking || mediaRecorderRef.current) return;
+        try {
+          beginCapture(stream);
+        } catch (captureError) {
+          console.error("Failed to start recording:", captureError);
+          setError("Failed to start recording: " + captureError.message);
+          stop();
+        }
+        return;
+      }
+
+      if (isSpeaking) {
+        quietSince = null;
+      } else if (quietSince === null) {
+        quietSince = Date.now();
+      } else if (Date.now() - quietSince >= vadSilenceSeconds * 1000) {
+        stop();
+      }
+    }, VOICE_ACTIVITY_INTERVAL_MS);
+
+    return () => {
+      clearInterval(interval);
+      monitor.close();
+    };
+  }, [
+    isVoiceActivated,
+    stream,
+    status,
+    vadThresholdDb,
+    vadSilenceSeconds,
+    beginCapture,
+    stop,
+  ]);
+
+  const limitReached =
+    maxDurationSeconds && elapsed >= maxDurationSeconds
+      ? "duration"
+      : maxSizeBytes && recordedBytes >= maxSizeBytes
+        ? "size"
+        : null;
+
+  useEffect(() => {
+    if (status !== "recording" || !limitReached) return;
+    console.log(`Recording stopped at the ${limitReached} limit.`);
+    setAutoStopReason(limitReached);
+    stop();
+  }, [status, limitReached, stop]);
+
+  // The size left is converted to time at the average rate so far
+  const secondsToSizeLimit =
+    maxSizeBytes && recordedBytes && elapsed
+      ? (maxSizeBytes - recordedBytes) / (recordedBytes / elapsed)
+      : Infinity;
+  const secondsToLimit = Math.min(
+    maxDurationSeconds ? maxDurationSeconds - elapsed : Infinity,
+    secondsToSizeLimit
+  );
+  const remainingSeconds = Number.isFinite(secondsToLimit)
+    ? Math.max(0, Math.ceil(secondsToLimit))
+    : null;
+
+  // MediaRecorder drops the audio captured while paused, so the blob handed
+  // to the conversion only contains the recorded segments
+  const pause = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (recorder && recorder.state === "recording") {
+      recorder.pause();
+      stopTimer();
+      setStatus("paused");
+    }
+  }, [stopTimer]);
+
+  const resume = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (recorder && recorder.state === "paused") {
+      recorder.resume();
+      startTimer();
+      setStatus("recording");
+    }
+  }, [startTimer]);
+
+  // Drop the current take (recording in progress or finished) and start over
+  const reset = useCallback(() => {
+    discardRecorder();
+    chunksRef.current = [];
+    recordedMsRef.current = 0;
+    spliceRef.current = null;
+    takeParamsRef.current = null;
+    setBlob(null);
+    setLevels(null);
+    setUrl("");
+    setElapsed(0);
+    setRecordedBytes(0);
+    setAutoStopReason(null);
+    setError("");
+    setStatus("idle");
+  }, [discardRecorder]);
+
+  // Convert the chunks of a take interrupted by a crash or reload
+  const recover = useCallback(
+    async (sessionId) => {
+      if (!ffmpegRef.current.loaded) {
+        setError("Audio converter is not loaded yet. Please wait.");
+        return;
+      }
+      if (mediaRecorderRef.current) return;
+
+      try {
+        setError("");
+        const { session, chunks } = await restoreSession(sessionId);
+        chunksRef.current = chunks;
+        trackSettingsRef.current = session.trackSettings || {};
+        recordedMsRef.current = session.recordedMs;
+        setElapsed(Math.floor(session.recordedMs / 1000));
+        await convertRecording(session.mimeType);
+      } catch (recoverError) {
+        console.error("Failed to recover recording:", recoverError);
+        setError("Failed to recover recording: " + recoverError.message);
+      }
+    },
+    [convertRecording, restoreSession]
+  );
+
+  // Replace the finished take with the result of an FFmpeg edit.
+  // getArgs(inputName, outputName) returns the arguments (see
+  // utils/audioEdits.js). Resolves with the new blob, or null if it failed.
+  const edit = useCallback(
+    async (getArgs) => {
+      const ffmpeg = ffmpegRef.current;
+      if (!blob || status !== "idle" || !ffmpeg.loaded) return null;
+
+      const extension = getFileExtension(blob.type);
+      const inputName = `edit-input.${extension}`;
+      const outputName = `edit-output.${extension}`;
+
+      setStatus("editing");
+      setError("");
+      try {
+        await ffmpeg.writeFile(inputName, await fetchFile(blob));
+        const exitCode = await ffmpeg.exec(getArgs(inputName, outputName));
+        if (exitCode !== 0) {
+          throw new Error(`FFmpeg exited with code ${exitCode}`);
+        }
+
+        const data = await ffmpeg.readFile(outputName);
+        const editedBlob = new Blob([data.buffer], { type: blob.type });
+        setBlob(editedBlob);
+        setUrl(URL.createObjectURL(editedBlob));
+        return editedBlob;
+      } catch (editError) {
+        console.error("Failed to edit recording:", editError);
+        setError("Failed to edit audio: " + editError.message);
+        return null;
+      } finally {
+        await deleteFiles(ffmpeg, [inputName, outputName]);
+        setStatus("idle");
+      }
+    },
+    [blob, status]
+  );
+
+  const clearError = useCallback(() => {
+    setError("");
+    setAccessIssue(null);
+  }, []);
+
+  return {
+    status,
+    isReady,
+    canStart,
+    permission,
+    micIssue,
+    isArmed: status === "armed",
+    isVoiceActivated,
+    isRecording: status === "recording",
+    isPaused: status === "paused",
+    isConverting: status === "converting",
+    isEditing: status === "editing",
+    elapsed,
+    remainingSeconds,
+    autoStopReason,
+    stream,
+    blob,
+    url,
+    levels,
+    error,
+    start,
+    stop,
+    pause,
+    resume,
+    reset,
+    edit,
+    clearError,
+    interruptedSessions,
+    recover,
+    discardInterrupted,
+  };
+};
+
+export default useVoiceRecorder;
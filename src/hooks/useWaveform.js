@@ -0,0 +1,47 @@
+import { useState, useEffect } from "react";
+import { decodeAudio, getPeaks } from "../utils/waveform";
+
+const DEFAULT_BUCKETS = 600;
+
+// Waveform peaks and duration of `source`, a Blob or a media URL. Decoding
+// starts whenever the source changes, null clears the waveform.
+const useWaveform = (source, { buckets = DEFAULT_BUCKETS } = {}) => {
+  const [waveform, setWaveform] = useState({ peaks: null, duration: 0 });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setWaveform({ peaks: null, duration: 0 });
+    setError(null);
+    if (!source) return undefined;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+
+    decodeAudio(source, { signal: controller.signal })
+      .then((audioBuffer) => {
+        if (controller.signal.aborted) return;
+        setWaveform({
+          peaks: getPeaks(audioBuffer, buckets),
+          duration: audioBuffer.duration,
+        });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error("Failed to decode audio for the waveform:", err);
+        setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => {
+      controller.abort();
+      setIsLoading(false);
+    };
+  }, [source, buckets]);
+
+  return { ...waveform, isLoading, error };
+};
+
+export default useWaveform;
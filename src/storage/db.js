@@ -0,0 +1,81 @@
+// IndexedDB access shared by the recorder's persistent stores
+
+const DB_NAME = "webVoiceRecorder";
+const DB_VERSION = 2;
+
+export const OUTBOX_STORE = "outbox";
+export const SESSIONS_STORE = "recordingSessions";
+export const CHUNKS_STORE = "recordingChunks";
+
+let dbPromise = null;
+
+// Open the database once per page, creating the stores on first use
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not supported in this browser."));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          db.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          db.createObjectStore(SESSIONS_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+          db.createObjectStore(CHUNKS_STORE, {
+            keyPath: ["sessionId", "index"],
+          });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow another attempt after a failure (e.g. blocked by another tab)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run `callback(store)` in a transaction on `storeName`. Resolves with the
+// result of the request returned by the callback once the transaction has
+// committed. With an array of store names the callback receives the stores
+// in the same order.
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = Array.isArray(storeName)
+      ? callback(...storeName.map((name) => transaction.objectStore(name)))
+      : callback(transaction.objectStore(storeName));
+    let result;
+
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Unique id for stored records, crypto.randomUUID needs a secure context
+export const createId = () =>
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
@@ -0,0 +1,32 @@
+import { OUTBOX_STORE, createId, withStore } from "./db";
+
+// Finished recordings that have not been uploaded yet. Items look like
+// { id, blob, filename, size, type, status, createdAt, attempts, lastError }
+// where status is "draft" (never submitted), "queued" (submitted, waiting
+// for the upload to succeed) or "failed" (rejected by the server, only sent
+// again on request).
+
+export const getOutboxItems = async () => {
+  const items = await withStore(OUTBOX_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+  return items.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const createOutboxItem = (blob, filename) => ({
+  id: createId(),
+  blob,
+  filename,
+  size: blob.size,
+  type: blob.type,
+  status: "draft",
+  createdAt: Date.now(),
+  attempts: 0,
+  lastError: "",
+});
+
+export const putOutboxItem = (item) =>
+  withStore(OUTBOX_STORE, "readwrite", (store) => store.put(item));
+
+export const deleteOutboxItem = (id) =>
+  withStore(OUTBOX_STORE, "readwrite", (store) => store.delete(id));
@@ -0,0 +1,47 @@
+import { CHUNKS_STORE, SESSIONS_STORE, withStore } from "./db";
+
+// Recordings in progress, persisted chunk by chunk so a take interrupted by
+// a crash, reload or dead battery can be recovered. A session looks like
+// { id, mimeType, trackSettings, startedAt, updatedAt, recordedMs,
+// chunkCount, size }, its chunks are stored under [sessionId, index].
+
+const chunkRange = (sessionId) =>
+  IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
+export const getRecordingSessions = async () => {
+  const sessions = await withStore(SESSIONS_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+export const putRecordingSession = (session) =>
+  withStore(SESSIONS_STORE, "readwrite", (store) => store.put(session));
+
+// Store a chunk and the updated session in a single transaction
+export const appendRecordingChunk = (session, index, blob) =>
+  withStore(
+    [SESSIONS_STORE, CHUNKS_STORE],
+    "readwrite",
+    (sessionsStore, chunksStore) => {
+      chunksStore.put({ sessionId: session.id, index, blob });
+      sessionsStore.put(session);
+    }
+  );
+
+export const getRecordingChunks = async (sessionId) => {
+  const chunks = await withStore(CHUNKS_STORE, "readonly", (store) =>
+    store.getAll(chunkRange(sessionId))
+  );
+  return chunks.map((chunk) => chunk.blob);
+};
+
+export const deleteRecordingSession = (sessionId) =>
+  withStore(
+    [SESSIONS_STORE, CHUNKS_STORE],
+    "readwrite",
+    (sessionsStore, chunksStore) => {
+      sessionsStore.delete(sessionId);
+      chunksStore.delete(chunkRange(sessionId));
+    }
+  );
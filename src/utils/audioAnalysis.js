@@ -0,0 +1,51 @@
+// Level helpers for AnalyserNode time domain data (samples in -1..1)
+
+export const MIN_DECIBELS = -90;
+
+// RMS and peak of the analyser's current frame, `buffer` is a reusable
+// Float32Array of analyser.fftSize samples
+export const getLevels = (analyser, buffer) => {
+  analyser.getFloatTimeDomainData(buffer);
+
+  let sumSquares = 0;
+  let peak = 0;
+  for (const sample of buffer) {
+    sumSquares += sample * sample;
+    peak = Math.max(peak, Math.abs(sample));
+  }
+
+  return { rms: Math.sqrt(sumSquares / buffer.length), peak };
+};
+
+// Linear amplitude to dBFS, clamped to MIN_DECIBELS for silence
+export const toDecibels = (amplitude) =>
+  amplitude > 0
+    ? Math.max(MIN_DECIBELS, 20 * Math.log10(amplitude))
+    : MIN_DECIBELS;
+
+// AnalyserNode fed by `stream` in its own AudioContext, or null where Web
+// Audio is unavailable. getLevels() reads the current frame, close() tears
+// the graph down.
+export const createLevelMonitor = (stream, { fftSize = 2048 } = {}) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = fftSize;
+  source.connect(analyser);
+
+  // Contexts created outside a user gesture start suspended
+  context.resume().catch(() => {});
+
+  const buffer = new Float32Array(analyser.fftSize);
+  return {
+    analyser,
+    getLevels: () => getLevels(analyser, buffer),
+    close: () => {
+      source.disconnect();
+      context.close();
+    },
+  };
+};
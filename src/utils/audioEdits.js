@@ -0,0 +1,42 @@
+import { getConversionArgs, getStreamCopyArgs } from "./audioFormats";
+
+// FFmpeg arguments for edits of a finished take. Each builder takes the input
+// and output file names first, see `edit` in hooks/useVoiceRecorder.js.
+
+const formatSeconds = (seconds) => Math.max(0, seconds).toFixed(3);
+
+// Keep start..end (seconds), or start..the end of the input without `end`.
+// The audio is copied rather than re-encoded, so the cut lands on the
+// nearest packet boundary (a few milliseconds at most).
+export const getTrimArgs = (input, output, start, end) => [
+  "-i",
+  input,
+  "-ss",
+  formatSeconds(start),
+  ...(end === undefined ? [] : ["-to", formatSeconds(end)]),
+  "-c",
+  "copy",
+  output,
+];
+
+// Input list for FFmpeg's concat demuxer
+export const getConcatList = (files) =>
+  files.map((file) => `file '${file}'\n`).join("");
+
+// Join the files of a concat list. The parts have to share codec, sample
+// rate and channel layout; they are copied unless `reencode` is set, which
+// also smooths over differing timestamps at the joins.
+export const getConcatArgs = (
+  list,
+  output,
+  config,
+  { reencode = false } = {}
+) => [
+  "-f",
+  "concat",
+  "-safe",
+  "0",
+  ...(reencode
+    ? getConversionArgs(config, list, output)
+    : getStreamCopyArgs(config, list, output)),
+];
@@ -0,0 +1,267 @@
+import {
+  NORMALIZED_SAMPLE_RATE,
+  getProcessingFilters,
+  hasProcessing,
+} from "./audioProcessing";
+
+// Output formats the local FFmpeg conversion step can produce
+export const OUTPUT_FORMATS = {
+  m4a: {
+    label: "M4A (AAC)",
+    extension: "m4a",
+    mimeType: "audio/mp4",
+    codec: "aac",
+    codecArgs: ["-c:a", "aac"],
+    containerArgs: ["-movflags", "+faststart"],
+  },
+  ogg: {
+    label: "Opus (Ogg)",
+    extension: "ogg",
+    mimeType: "audio/ogg",
+    codec: "opus",
+    codecArgs: ["-c:a", "libopus"],
+  },
+  webm: {
+    label: "Opus (WebM)",
+    extension: "webm",
+    mimeType: "audio/webm",
+    codec: "opus",
+    codecArgs: ["-c:a", "libopus"],
+  },
+  mp3: {
+    label: "MP3",
+    extension: "mp3",
+    mimeType: "audio/mpeg",
+    codec: "mp3",
+    codecArgs: ["-c:a", "libmp3lame"],
+  },
+  wav: {
+    label: "WAV",
+    extension: "wav",
+    mimeType: "audio/wav",
+    codec: "pcm",
+    codecArgs: ["-c:a", "pcm_s16le"],
+    lossless: true,
+  },
+  flac: {
+    label: "FLAC",
+    extension: "flac",
+    mimeType: "audio/flac",
+    codec: "flac",
+    codecArgs: ["-c:a", "flac"],
+    lossless: true,
+  },
+};
+
+// Without a sampleRate/channels the values of the recording are kept
+export const DEFAULT_OUTPUT_CONFIG = {
+  outputFormat: "m4a",
+  bitrate: "128k",
+};
+
+// Opus only accepts 8/12/16/24/48 kHz, so the presets stick to 48 kHz
+export const OUTPUT_PRESETS = {
+  voice: {
+    label: "Voice",
+    config: {
+      outputFormat: "ogg",
+      bitrate: "48k",
+      sampleRate: 48000,
+      channels: 1,
+    },
+  },
+  music: {
+    label: "Music",
+    config: {
+      outputFormat: "m4a",
+      bitrate: "192k",
+      sampleRate: 48000,
+      channels: 2,
+    },
+  },
+  archival: {
+    label: "Archival",
+    config: {
+      outputFormat: "flac",
+      sampleRate: 48000,
+      channels: 2,
+    },
+  },
+};
+
+// Merge a preset name and/or explicit options into a full output config
+export const resolveOutputConfig = ({
+  preset,
+  outputFormat,
+  bitrate,
+  sampleRate,
+  channels,
+  trimSilence,
+  loudnessTarget,
+} = {}) => {
+  const config = { ...DEFAULT_OUTPUT_CONFIG };
+  if (preset && OUTPUT_PRESETS[preset]) {
+    Object.assign(config, OUTPUT_PRESETS[preset].config);
+  }
+  if (outputFormat) config.outputFormat = outputFormat;
+  if (bitrate) config.bitrate = bitrate;
+  if (sampleRate) config.sampleRate = sampleRate;
+  if (channels) config.channels = channels;
+  if (trimSilence) config.trimSilence = true;
+  if (typeof loudnessTarget === "number") {
+    config.loudnessTarget = loudnessTarget;
+  }
+
+  if (!OUTPUT_FORMATS[config.outputFormat]) {
+    console.warn(
+      `Unknown output format "${config.outputFormat}", falling back to ${DEFAULT_OUTPUT_CONFIG.outputFormat}.`
+    );
+    config.outputFormat = DEFAULT_OUTPUT_CONFIG.outputFormat;
+  }
+
+  return config;
+};
+
+export const getOutputFormat = (config) =>
+  OUTPUT_FORMATS[config.outputFormat] ||
+  OUTPUT_FORMATS[DEFAULT_OUTPUT_CONFIG.outputFormat];
+
+// Output file name inside FFmpeg's virtual file system
+export const getOutputFileName = (config) =>
+  `output.${getOutputFormat(config).extension}`;
+
+// FFmpeg arguments converting `input` to `output` with the given config
+export const getConversionArgs = (config, input, output) => {
+  const format = getOutputFormat(config);
+  const args = ["-i", input, ...format.codecArgs];
+  const filters = getProcessingFilters(config);
+  const sampleRate =
+    config.sampleRate ||
+    (typeof config.loudnessTarget === "number" && NORMALIZED_SAMPLE_RATE);
+
+  if (filters) args.push("-af", filters);
+  if (config.bitrate && !format.lossless) args.push("-b:a", config.bitrate);
+  if (sampleRate) args.push("-ar", String(sampleRate));
+  if (config.channels) args.push("-ac", String(config.channels));
+  if (format.containerArgs) args.push(...format.containerArgs);
+
+  args.push(output);
+  return args;
+};
+
+// Sample rate and channel count of the first audio stream in FFmpeg's log of
+// `ffmpeg -i <file>`, e.g. "Audio: opus, 48000 Hz, mono, fltp". Fields that
+// cannot be found are left out.
+export const parseAudioStreamInfo = (log) => {
+  const match = /Audio: [^\n]*?(\d+) Hz, ([^,\n]+)/.exec(log);
+  if (!match) return {};
+
+  const info = { sampleRate: Number(match[1]) };
+  const layout = match[2].trim();
+  // Named layouts other than mono and stereo (e.g. "5.1") are left out
+  const channels =
+    layout === "mono"
+      ? 1
+      : layout === "stereo"
+        ? 2
+        : Number(/^(\d+) channels$/.exec(layout)?.[1]);
+  if (channels > 0) info.channels = channels;
+  return info;
+};
+
+// Codec inside a MediaRecorder blob. Without an explicit codecs parameter
+// browsers use AAC for MP4 (Safari) and Opus for WebM/Ogg (Chrome, Firefox).
+export const getRecordedCodec = (mimeType) => {
+  const [baseType, ...params] = (mimeType || "").toLowerCase().split(";");
+  const codecs = params.join(";");
+
+  if (codecs.includes("opus")) return "opus";
+  if (codecs.includes("mp4a")) return "aac";
+
+  switch (baseType.trim()) {
+    case "audio/mp4":
+    case "audio/aac":
+      return "aac";
+    case "audio/webm":
+    case "audio/ogg":
+      return "opus";
+    default:
+      return "";
+  }
+};
+
+// MediaRecorder MIME type producing the codec of the configured output, so
+// the conversion can be a stream copy
+export const getPreferredRecorderMimeTypes = (config) => {
+  switch (getOutputFormat(config).codec) {
+    case "aac":
+      return ["audio/mp4;codecs=mp4a.40.2", "audio/mp4"];
+    case "opus":
+      return ["audio/webm;codecs=opus", "audio/ogg;codecs=opus"];
+    default:
+      return [];
+  }
+};
+
+// "128k" -> 128000
+export const parseBitrate = (bitrate) => {
+  const match = /^(\d+(?:\.\d+)?)(k?)$/i.exec(String(bitrate || "").trim());
+  if (!match) return undefined;
+  return Math.round(parseFloat(match[1]) * (match[2] ? 1000 : 1));
+};
+
+// Whether the recorded audio already is what the config asks for, in which
+// case it only has to be remuxed into the output container. Sample rate and
+// channels are compared against the settings reported by the input track.
+export const canStreamCopy = (recordedMimeType, config, trackSettings = {}) => {
+  const format = getOutputFormat(config);
+  if (hasProcessing(config)) return false;
+  if (!format.codec || getRecordedCodec(recordedMimeType) !== format.codec) {
+    return false;
+  }
+  if (config.sampleRate && config.sampleRate !== trackSettings.sampleRate) {
+    return false;
+  }
+  if (config.channels && config.channels !== trackSettings.channelCount) {
+    return false;
+  }
+  return true;
+};
+
+// FFmpeg arguments remuxing `input` into `output` without re-encoding
+export const getStreamCopyArgs = (config, input, output) => {
+  const format = getOutputFormat(config);
+  return [
+    "-i",
+    input,
+    "-vn",
+    "-c:a",
+    "copy",
+    ...(format.containerArgs || []),
+    output,
+  ];
+};
+
+// File extension for a blob produced by the recorder
+export const getFileExtension = (mimeType) => {
+  const baseType = (mimeType || "").split(";")[0].trim();
+  const format = Object.values(OUTPUT_FORMATS).find(
+    (candidate) => candidate.mimeType === baseType
+  );
+  if (format) return format.extension;
+  return baseType.split("/")[1] || DEFAULT_OUTPUT_CONFIG.outputFormat;
+};
+
+// Short human readable summary, e.g. "M4A (AAC), 128k, 48 kHz, mono"
+export const describeOutputConfig = (config) => {
+  const format = getOutputFormat(config);
+  const parts = [format.label];
+  if (config.bitrate && !format.lossless) parts.push(config.bitrate);
+  if (config.sampleRate) parts.push(`${config.sampleRate / 1000} kHz`);
+  if (config.channels) parts.push(config.channels === 1 ? "mono" : "stereo");
+  if (config.trimSilence) parts.push("silence trimmed");
+  if (typeof config.loudnessTarget === "number") {
+    parts.push(`${config.loudnessTarget} LUFS`);
+  }
+  return parts.join(", ");
+};
@@ -0,0 +1,44 @@
+// Microphone selection and processing settings, and their getUserMedia
+// constraints. The settings are remembered in localStorage.
+
+const SETTINGS_KEY = "webVoiceRecorder.inputSettings";
+
+// An empty deviceId means the browser's default microphone
+export const DEFAULT_INPUT_SETTINGS = {
+  deviceId: "",
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+  channelCount: 1,
+};
+
+export const getAudioConstraints = (settings = DEFAULT_INPUT_SETTINGS) => ({
+  // Only preferred, so an unplugged device falls back to the default one
+  ...(settings.deviceId && { deviceId: { ideal: settings.deviceId } }),
+  echoCancellation: settings.echoCancellation,
+  noiseSuppression: settings.noiseSuppression,
+  autoGainControl: settings.autoGainControl,
+  sampleRate: 48000,
+  channelCount: settings.channelCount,
+});
+
+export const DEFAULT_AUDIO_CONSTRAINTS = getAudioConstraints();
+
+export const loadInputSettings = () => {
+  try {
+    return {
+      ...DEFAULT_INPUT_SETTINGS,
+      ...JSON.parse(localStorage.getItem(SETTINGS_KEY)),
+    };
+  } catch {
+    return DEFAULT_INPUT_SETTINGS;
+  }
+};
+
+export const saveInputSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("Could not persist input settings:", err);
+  }
+};
@@ -0,0 +1,78 @@
+// Optional clean-up applied while converting a take: trimming leading and
+// trailing silence and EBU R128 loudness normalization. Enabled through the
+// `trimSilence` and `loudnessTarget` (LUFS) fields of the output config.
+
+export const DEFAULT_LOUDNESS_TARGET = -16;
+
+// Common targets offered in the UI, any LUFS value works in the config
+export const LOUDNESS_TARGETS = [
+  { value: -14, label: "-14 LUFS (streaming)" },
+  { value: -16, label: "-16 LUFS (podcasts, voice)" },
+  { value: -19, label: "-19 LUFS (mono podcasts)" },
+  { value: -23, label: "-23 LUFS (EBU R128 broadcast)" },
+];
+
+const SILENCE_THRESHOLD = "-50dB";
+// Silence kept before the first and after the last sound, in seconds
+const SILENCE_PADDING = 0.25;
+const TRUE_PEAK_LIMIT = -1.5;
+
+// loudnorm works at 192 kHz internally, so its output needs an explicit rate
+export const NORMALIZED_SAMPLE_RATE = 48000;
+
+export const hasProcessing = (config) =>
+  !!config.trimSilence || typeof config.loudnessTarget === "number";
+
+// silenceremove only trims the start, the tail is trimmed by running it on
+// the reversed audio. areverse holds the whole decoded take in memory (twice,
+// once per pass), so longer takes are converted without trimming
+export const TRIM_SILENCE_MAX_SECONDS = 5 * 60;
+
+// `config` for a take of `durationSeconds`, with trimSilence turned off when
+// the take is too long to trim
+export const limitProcessing = (config, durationSeconds) =>
+  config.trimSilence && durationSeconds > TRIM_SILENCE_MAX_SECONDS
+    ? { ...config, trimSilence: false }
+    : config;
+
+const trimStartFilter = `silenceremove=start_periods=1:start_threshold=${SILENCE_THRESHOLD}:start_silence=${SILENCE_PADDING}`;
+
+// Filter chain for `-af`, or "" when no processing is configured
+export const getProcessingFilters = (config) => {
+  const filters = [];
+  if (config.trimSilence) {
+    filters.push(trimStartFilter, "areverse", trimStartFilter, "areverse");
+  }
+  if (typeof config.loudnessTarget === "number") {
+    filters.push(
+      `loudnorm=I=${config.loudnessTarget}:TP=${TRUE_PEAK_LIMIT}:LRA=11`
+    );
+  }
+  return filters.join(",");
+};
+
+// Analysis pass printing the loudness of `input` to the FFmpeg log
+export const getLoudnessMeasureArgs = (input) => [
+  "-i",
+  input,
+  "-af",
+  "loudnorm=print_format=json",
+  "-f",
+  "null",
+  "-",
+];
+
+const parseStat = (log, key) => {
+  const match = new RegExp(`"${key}"\\s*:\\s*"([^"]+)"`).exec(log);
+  const value = match ? parseFloat(match[1]) : NaN;
+  return Number.isFinite(value) ? value : null;
+};
+
+// { integrated (LUFS), truePeak (dBTP) } from the log of an analysis pass,
+// or null if the measurement is missing
+export const parseLoudness = (log) => {
+  const integrated = parseStat(log, "input_i");
+  const truePeak = parseStat(log, "input_tp");
+  if (integrated === null && truePeak === null) return null;
+  return { integrated, truePeak };
+};
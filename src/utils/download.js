@@ -0,0 +1,49 @@
+import { getFileExtension } from "./audioFormats";
+
+// File name for saving `name` in the format of `mimeType`, e.g.
+// ("interview.webm", "audio/mpeg") -> "interview.mp3"
+export const getDownloadFilename = (name, mimeType) => {
+  const baseName =
+    (name || "recording")
+      .replace(/\.[a-z\d]{1,5}$/i, "")
+      // Characters not allowed in file names on common systems
+      .replace(/[\\/:*?"<>|]+/g, "_")
+      .trim() || "recording";
+  return `${baseName}.${getFileExtension(mimeType)}`;
+};
+
+// Adds " (2)", " (3)", ... before the extension for names in `usedNames`,
+// which is updated
+export const getUniqueFilename = (filename, usedNames) => {
+  let unique = filename;
+  const dot = filename.lastIndexOf(".");
+  for (let n = 2; usedNames.has(unique.toLowerCase()); n++) {
+    unique =
+      dot > 0
+        ? `${filename.slice(0, dot)} (${n})${filename.slice(dot)}`
+        : `${filename} (${n})`;
+  }
+  usedNames.add(unique.toLowerCase());
+  return unique;
+};
+
+export const fetchBlob = async (url, { signal } = {}) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Download failed with status ${response.status}`);
+  }
+  return response.blob();
+};
+
+// Save a Blob through the browser's download prompt
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
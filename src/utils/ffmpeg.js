@@ -0,0 +1,46 @@
+import coreURL from "@ffmpeg/core?url";
+import wasmURL from "@ffmpeg/core/wasm?url";
+import coreMtURL from "@ffmpeg/core-mt?url";
+import wasmMtURL from "@ffmpeg/core-mt/wasm?url";
+// Keep the worker a real file: Vite would otherwise inline it as a data URL
+import workerMtURL from "@ffmpeg/core-mt/worker?url&no-inline";
+
+// Defaults can be overridden per deployment through the Vite env
+export const DEFAULT_FFMPEG_CORE_URL = import.meta.env.VITE_FFMPEG_CORE_URL || "";
+export const DEFAULT_FFMPEG_MULTI_THREAD =
+  import.meta.env.VITE_FFMPEG_MULTI_THREAD === "true";
+
+// The multi-threaded core needs SharedArrayBuffer, which is only available
+// when the page is served with the COOP/COEP headers (see vite.config.js)
+export const canUseMultiThread = () =>
+  typeof SharedArrayBuffer !== "undefined" && !!window.crossOriginIsolated;
+
+// Build the URLs passed to ffmpeg.load(). Without a baseURL the core and wasm
+// bundled by Vite are used, so the converter works offline.
+export const getFFmpegLoadConfig = ({
+  baseURL = DEFAULT_FFMPEG_CORE_URL,
+  multiThread = DEFAULT_FFMPEG_MULTI_THREAD,
+} = {}) => {
+  const useMultiThread = multiThread && canUseMultiThread();
+
+  if (multiThread && !useMultiThread) {
+    console.warn(
+      "Multi-threaded FFmpeg requested but the page is not cross-origin isolated, using single-threaded core."
+    );
+  }
+
+  if (baseURL) {
+    const base = baseURL.replace(/\/+$/, "");
+    return {
+      coreURL: `${base}/ffmpeg-core.js`,
+      wasmURL: `${base}/ffmpeg-core.wasm`,
+      ...(useMultiThread && { workerURL: `${base}/ffmpeg-core.worker.js` }),
+    };
+  }
+
+  if (useMultiThread) {
+    return { coreURL: coreMtURL, wasmURL: wasmMtURL, workerURL: workerMtURL };
+  }
+
+  return { coreURL, wasmURL };
+};
@@ -0,0 +1,22 @@
+// Format time display
+export const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, "0")}:${secs
+    .toString()
+    .padStart(2, "0")}`;
+};
+
+// Format file size
+export const formatFileSize = (bytes) => {
+  if (!bytes) return "0 KB";
+  return (bytes / 1024).toFixed(2) + " KB";
+};
+
+// Format a loudness or peak level, e.g. "-16.0 LUFS"
+export const formatLevel = (value, unit) =>
+  typeof value === "number" ? `${value.toFixed(1)} ${unit}` : "n/a";
+
+// Format a { before, after } pair of measurements, e.g. "-31.2 LUFS → -16.0 LUFS"
+export const formatLevelChange = ({ before, after }, key, unit) =>
+  `${formatLevel(before?.[key], unit)} → ${formatLevel(after?.[key], unit)}`;
@@ -0,0 +1,58 @@
+// Reasons the microphone cannot be used, with guidance for the user
+
+export const MIC_ISSUES = {
+  "insecure-context": {
+    title: "Microphone access needs a secure connection.",
+    guidance:
+      "Browsers only allow the microphone on https:// pages and on localhost. Open this page over https:// and try again.",
+  },
+  unsupported: {
+    title: "This browser cannot record audio.",
+    guidance:
+      "Use a current version of Chrome, Edge, Firefox or Safari to record.",
+  },
+  denied: {
+    title: "Microphone access is blocked.",
+    guidance:
+      "Allow the microphone for this site from the icon in the address bar or in the site settings. If it is already allowed there, check that your operating system lets the browser use the microphone. Recording is enabled again as soon as access is allowed (some browsers need a reload).",
+  },
+  "not-found": {
+    title: "No microphone was found.",
+    guidance:
+      "Connect a microphone, or pick another one under Microphone settings, then start the recording again.",
+  },
+  "not-readable": {
+    title: "The microphone could not be started.",
+    guidance:
+      "Another application or browser tab may be using it, or it was disconnected. Close other programs that use the microphone and try again.",
+  },
+};
+
+// Issue that makes recording impossible in this browser or page, or null
+export const getSupportIssue = () => {
+  if (window.isSecureContext === false) return "insecure-context";
+  if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+    return "unsupported";
+  }
+  return null;
+};
+
+// Map a getUserMedia rejection to an issue, or null for other failures.
+// The legacy names are still used by older Chrome and Firefox versions.
+export const getAccessIssue = (error) => {
+  switch (error?.name) {
+    case "NotAllowedError":
+    case "PermissionDeniedError":
+    case "SecurityError":
+      return window.isSecureContext === false ? "insecure-context" : "denied";
+    case "NotFoundError":
+    case "DevicesNotFoundError":
+      return "not-found";
+    case "NotReadableError":
+    case "TrackStartError":
+    case "AbortError":
+      return "not-readable";
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,33 @@
+// Editable metadata of saved recordings. Tags are edited as a comma
+// separated list.
+
+export const parseTags = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+  ),
+];
+
+export const formatTags = (tags) => (tags || []).join(", ");
+
+export const isSameTags = (a = [], b = []) =>
+  a.length === b.length && a.every((tag, index) => tag === b[index]);
+
+// Tags after adding and removing some, e.g. for a batch re-tag
+export const applyTagChanges = (tags = [], { add = [], remove = [] }) => [
+  ...new Set([...tags, ...add].filter((tag) => !remove.includes(tag))),
+];
+
+// The fields of `values` that differ from the recording, for a PATCH request
+export const getMetadataChanges = (recording, values) => {
+  const changes = {};
+  for (const field of ["originalFilename", "title", "description"]) {
+    if (values[field] !== (recording[field] || "")) {
+      changes[field] = values[field];
+    }
+  }
+  if (!isSameTags(values.tags, recording.tags)) changes.tags = values.tags;
+  return changes;
+};
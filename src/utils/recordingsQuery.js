@@ -0,0 +1,88 @@
+import { getRenditions } from "./renditions";
+
+// Search, sort and date filters for the saved recordings list, and their
+// mapping to the query parameters of GET /recordings:
+//
+//   page, limit  1-based page and page size
+//   q            case-insensitive substring of originalFilename or filename
+//   sort, order  "uploadDate" | "size" | "name", "asc" | "desc"
+//   from, to     ISO timestamps, uploads at or after `from` and before `to`
+//
+// The server answers with { items, total }. Backends that still return a
+// plain array of all recordings are filtered and sorted client-side.
+
+export const SORT_OPTIONS = {
+  "uploadDate:desc": "Newest first",
+  "uploadDate:asc": "Oldest first",
+  "name:asc": "Name (A–Z)",
+  "name:desc": "Name (Z–A)",
+  "size:desc": "Largest first",
+  "size:asc": "Smallest first",
+};
+
+// `from` and `to` are local calendar days (YYYY-MM-DD), both inclusive
+export const DEFAULT_RECORDINGS_FILTERS = {
+  search: "",
+  sort: "uploadDate:desc",
+  from: "",
+  to: "",
+};
+
+const startOfDay = (day) => new Date(`${day}T00:00:00`);
+
+export const getRecordingsQuery = ({ search, sort, from, to }) => {
+  const [sortKey, order] = sort.split(":");
+  const query = { sort: sortKey, order };
+
+  if (search.trim()) query.q = search.trim();
+  if (from) query.from = startOfDay(from).toISOString();
+  if (to) {
+    const end = startOfDay(to);
+    end.setDate(end.getDate() + 1);
+    query.to = end.toISOString();
+  }
+
+  return query;
+};
+
+export const getRecordingName = (recording) =>
+  recording.originalFilename || recording.filename || "";
+
+const getRecordingSize = (recording) => {
+  const rendition = getRenditions(recording).find(({ size }) => size != null);
+  return rendition?.size ?? 0;
+};
+
+const SORT_VALUES = {
+  uploadDate: (recording) => new Date(recording.uploadDate).getTime(),
+  size: getRecordingSize,
+  name: (recording) => getRecordingName(recording).toLowerCase(),
+};
+
+// Client-side equivalent of the server query, for backends without paging
+export const applyRecordingsQuery = (
+  recordings,
+  { q, sort, order, from, to }
+) => {
+  const search = q?.toLowerCase();
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const getValue = SORT_VALUES[sort] || SORT_VALUES.uploadDate;
+  const direction = order === "asc" ? 1 : -1;
+
+  return recordings
+    .filter((recording) => {
+      const uploaded = new Date(recording.uploadDate).getTime();
+      if (uploaded < fromTime || uploaded >= toTime) return false;
+      if (!search) return true;
+      return [recording.originalFilename, recording.filename].some((name) =>
+        name?.toLowerCase().includes(search)
+      );
+    })
+    .sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      if (valueA === valueB) return 0;
+      return (valueA > valueB ? 1 : -1) * direction;
+    });
+};
@@ -0,0 +1,87 @@
+// Renditions of a saved recording, i.e. the formats the server transcoded it
+// to. Recordings either list them in a `formats` array of
+// { format, url, mimetype, size, status } or carry one such object per
+// format, keyed by the format name (e.g. `mp3`, `opus`).
+
+// Labels and MIME types for renditions without a `mimetype`
+const KNOWN_FORMATS = {
+  opus: { label: "Opus", mimeType: "audio/ogg; codecs=opus" },
+  ogg: { label: "Ogg Vorbis", mimeType: "audio/ogg" },
+  webm: { label: "WebM", mimeType: "audio/webm" },
+  mp4: { label: "MP4", mimeType: "audio/mp4" },
+  m4a: { label: "M4A", mimeType: "audio/mp4" },
+  aac: { label: "AAC", mimeType: "audio/aac" },
+  mp3: { label: "MP3", mimeType: "audio/mpeg" },
+  flac: { label: "FLAC", mimeType: "audio/flac" },
+  wav: { label: "WAV", mimeType: "audio/wav" },
+};
+
+// Tie-breaker between formats the browser plays equally well: compressed
+// formats first, since the list streams them
+const FORMAT_PREFERENCE = Object.keys(KNOWN_FORMATS);
+
+// Rendition statuses meaning the file is not there yet
+const PROCESSING_STATUSES = ["pending", "queued", "processing"];
+
+const isRendition = (value) =>
+  !!value &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  ("url" in value || "mimetype" in value || "status" in value);
+
+const toRendition = (format, { url, mimetype, size, status }) => {
+  const known = KNOWN_FORMATS[format];
+  const isProcessing = PROCESSING_STATUSES.includes(status);
+  return {
+    format,
+    label: known?.label || format.toUpperCase(),
+    url: url || null,
+    mimetype: mimetype || known?.mimeType || "",
+    size,
+    status,
+    isProcessing,
+    isAvailable: !!url && !isProcessing && status !== "failed",
+  };
+};
+
+export const getRenditions = (recording) => {
+  if (Array.isArray(recording.formats)) {
+    return recording.formats
+      .filter((rendition) => rendition?.format)
+      .map((rendition) => toRendition(rendition.format, rendition));
+  }
+  return Object.entries(recording)
+    .filter(([, value]) => isRendition(value))
+    .map(([format, value]) => toRendition(format, value));
+};
+
+let audioElement;
+const playability = new Map();
+
+// 2 for "probably", 1 for "maybe", 0 when the browser cannot play it
+const getPlayability = (mimeType) => {
+  if (!playability.has(mimeType)) {
+    audioElement ??= document.createElement("audio");
+    const answer = mimeType ? audioElement.canPlayType(mimeType) : "";
+    playability.set(mimeType, answer === "probably" ? 2 : answer ? 1 : 0);
+  }
+  return playability.get(mimeType);
+};
+
+const getPreference = (format) => {
+  const index = FORMAT_PREFERENCE.indexOf(format);
+  return index === -1 ? FORMAT_PREFERENCE.length : index;
+};
+
+// Format to select initially: the available rendition this browser is most
+// likely to play. Falls back to the first rendition.
+export const getDefaultFormat = (renditions) => {
+  const candidates = renditions
+    .filter((rendition) => rendition.isAvailable)
+    .sort(
+      (a, b) =>
+        getPlayability(b.mimetype) - getPlayability(a.mimetype) ||
+        getPreference(a.format) - getPreference(b.format)
+    );
+  return (candidates[0] || renditions[0])?.format || null;
+};
@@ -0,0 +1,64 @@
+const createAbortError = () => new DOMException("Aborted", "AbortError");
+
+// Resolve after `ms`, or reject with an AbortError as soon as `signal` aborts
+export const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(createAbortError());
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Exponential backoff with jitter: ~1s, 2s, 4s, ... capped at maxDelayMs
+export const getBackoffDelay = (
+  attempt,
+  { baseDelayMs = 1000, maxDelayMs = 30000 } = {}
+) => {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+};
+
+// Run `task` until it succeeds, `shouldRetry` rejects the error, `retries`
+// retries have been used or `signal` aborts. `task` receives the attempt
+// number (0 for the first try), `onRetry` is called before each wait.
+export const retryWithBackoff = async (
+  task,
+  {
+    retries = 3,
+    baseDelayMs,
+    maxDelayMs,
+    signal,
+    shouldRetry = () => true,
+    onRetry,
+  } = {}
+) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (
+        attempt >= retries ||
+        signal?.aborted ||
+        error?.name === "AbortError" ||
+        !shouldRetry(error)
+      ) {
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      if (onRetry) onRetry({ attempt: attempt + 1, retries, delay, error });
+      await wait(delay, signal);
+    }
+  }
+};
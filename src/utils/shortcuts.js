@@ -0,0 +1,79 @@
+// Keyboard shortcuts are written like "R", "Shift+P", "Mod+Enter" or "Space".
+// "Mod" is Cmd on macOS and Ctrl elsewhere. Letters only match without Shift
+// unless it is listed; other characters (e.g. "?") match however they were
+// typed.
+
+export const SHORTCUT_ACTIONS = {
+  toggleRecording: "Start or stop recording",
+  pause: "Pause or resume recording",
+  togglePlayback: "Play or pause the recording",
+  submit: "Submit the recording",
+  pushToTalk: "Hold to record (push-to-talk mode)",
+  help: "Show or hide this help",
+};
+
+// null disables an action's shortcut
+export const DEFAULT_SHORTCUTS = {
+  toggleRecording: "R",
+  pause: "P",
+  togglePlayback: "K",
+  submit: "Mod+Enter",
+  pushToTalk: "Space",
+  help: "?",
+};
+
+const KEY_ALIASES = { space: " ", esc: "escape" };
+
+const isMac = () => /Mac|iPhone|iPad/.test(navigator.platform || "");
+
+const parseShortcut = (shortcut) => {
+  const parts = shortcut.split("+").map((part) => part.trim().toLowerCase());
+  // "Shift++" binds the plus key
+  const key = parts.pop() || "+";
+  const modifiers = new Set(parts);
+  if (modifiers.delete("mod")) modifiers.add(isMac() ? "meta" : "ctrl");
+  return { key: KEY_ALIASES[key] || key, modifiers };
+};
+
+export const matchesShortcut = (event, shortcut) => {
+  if (!shortcut) return false;
+  const { key, modifiers } = parseShortcut(shortcut);
+  if (event.key.toLowerCase() !== key) return false;
+
+  if (event.ctrlKey !== modifiers.has("ctrl")) return false;
+  if (event.altKey !== modifiers.has("alt")) return false;
+  if (event.metaKey !== modifiers.has("meta")) return false;
+  // Shift is part of typing symbols like "?", so it only counts for letters
+  // and named keys
+  const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+  return isSymbol || event.shiftKey === modifiers.has("shift");
+};
+
+// Human readable form for the help overlay, e.g. "⌘ + Enter" on macOS
+export const formatShortcut = (shortcut) =>
+  shortcut
+    .split("+")
+    .map((part) => {
+      const name = part.trim();
+      if (name.toLowerCase() !== "mod") return name;
+      return isMac() ? "⌘" : "Ctrl";
+    })
+    .join(" + ");
+
+// Typing into form fields must not trigger shortcuts
+export const isTextEntryTarget = (target) => {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === "TEXTAREA" || target.tagName === "SELECT") return true;
+  if (target.tagName !== "INPUT") return false;
+  return ![
+    "checkbox",
+    "radio",
+    "button",
+    "submit",
+    "reset",
+    "range",
+    "color",
+    "file",
+  ].includes(target.type);
+};
@@ -0,0 +1,48 @@
+// Decoding and peak extraction for waveform displays
+
+const DECODE_SAMPLE_RATE = 44100;
+
+// Decode a Blob or a media URL into an AudioBuffer
+export const decodeAudio = async (source, { signal } = {}) => {
+  let data;
+  if (source instanceof Blob) {
+    data = await source.arrayBuffer();
+  } else {
+    const response = await fetch(source, { signal });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch audio (HTTP ${response.status})`);
+    }
+    data = await response.arrayBuffer();
+  }
+
+  const OfflineContextClass =
+    window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContextClass) {
+    throw new Error("Audio decoding is not supported in this browser");
+  }
+  // Only used for decoding, so a one sample context is enough
+  const context = new OfflineContextClass(1, 1, DECODE_SAMPLE_RATE);
+  return context.decodeAudioData(data);
+};
+
+// Peak amplitude (0..1) over all channels for each of `bucketCount` equal
+// slices of the buffer
+export const getPeaks = (audioBuffer, bucketCount) => {
+  const peaks = new Float32Array(bucketCount);
+  const bucketSize = audioBuffer.length / bucketCount;
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const samples = audioBuffer.getChannelData(channel);
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+      const start = Math.floor(bucket * bucketSize);
+      const end = Math.max(start + 1, Math.floor((bucket + 1) * bucketSize));
+      let peak = peaks[bucket];
+      for (let i = start; i < end && i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      peaks[bucket] = peak;
+    }
+  }
+
+  return peaks;
+};
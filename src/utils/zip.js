@@ -0,0 +1,108 @@
+// Minimal ZIP writer for bundling downloads. Files are stored without
+// compression, which is what audio needs anyway. No ZIP64, so the archive
+// must stay below 4 GB.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields of a Date
+const getDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const header = (size, fill) => {
+  const view = new DataView(new ArrayBuffer(size));
+  fill(view);
+  return new Uint8Array(view.buffer);
+};
+
+// `files` are { name, data (Blob), lastModified (Date, optional) }, names
+// must be unique. Resolves with an application/zip Blob.
+export const createZip = async (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = new Uint8Array(await file.data.arrayBuffer());
+    const crc = crc32(data);
+    const { time, date } = getDosDateTime(file.lastModified || new Date());
+    // Bit 11: the name is UTF-8
+    const flags = 0x0800;
+
+    parts.push(
+      header(30, (view) => {
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, flags, true);
+        view.setUint16(8, 0, true);
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, data.length, true);
+        view.setUint32(22, data.length, true);
+        view.setUint16(26, name.length, true);
+        view.setUint16(28, 0, true);
+      }),
+      name,
+      data
+    );
+
+    centralDirectory.push(
+      header(46, (view) => {
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, 20, true);
+        view.setUint16(8, flags, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, time, true);
+        view.setUint16(14, date, true);
+        view.setUint32(16, crc, true);
+        view.setUint32(20, data.length, true);
+        view.setUint32(24, data.length, true);
+        view.setUint16(28, name.length, true);
+        // Extra field, comment, disk number, attributes are all zero
+        view.setUint32(42, offset, true);
+      }),
+      name
+    );
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directorySize = centralDirectory.reduce(
+    (size, part) => size + part.length,
+    0
+  );
+  const end = header(22, (view) => {
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, files.length, true);
+    view.setUint16(10, files.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, offset, true);
+  });
+
+  return new Blob([...parts, ...centralDirectory, end], {
+    type: "application/zip",
+  });
+};
@@ -1,16 +1,37 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Required for SharedArrayBuffer, which the multi-threaded FFmpeg core uses
+const crossOriginIsolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+};
+
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: [
+      // The worker script is not listed in @ffmpeg/core-mt's package exports
+      {
+        find: /^@ffmpeg\/core-mt\/worker/,
+        replacement: fileURLToPath(
+          new URL(
+            './node_modules/@ffmpeg/core-mt/dist/esm/ffmpeg-core.worker.js',
+            import.meta.url
+          )
+        ),
+      },
+    ],
+  },
   optimizeDeps: {
     exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util'],
   },
   server: {
-    headers: {
-      'Cross-Origin-Opener-Policy': 'same-origin',
-      'Cross-Origin-Embedder-Policy': 'require-corp',
-    },
+    headers: crossOriginIsolationHeaders,
     host: true,
   },
-});
\ No newline at end of file
+  preview: {
+    headers: crossOriginIsolationHeaders,
+  },
+});